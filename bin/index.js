@@ -22,7 +22,9 @@ var config = new ConfigStore(
 	}
 );
 
-var cli = require('../lib/cli').init().then(
+var cli = require('../lib/cli');
+
+cli.init().then(
 	function() {
 		var deprecated = deprecationCheck(
 			{
@@ -33,7 +35,15 @@ var cli = require('../lib/cli').init().then(
 		);
 
 		if (deprecated) {
-			console.log(deprecated);
+			cli.log(deprecated);
 		}
 	}
+).catch(
+	function(err) {
+		cli.logGeneralError(err);
+	}
+).then(
+	function() {
+		process.exitCode = cli.getExitCode();
+	}
 );
\ No newline at end of file
@@ -2,10 +2,35 @@ var optimist = require('optimist')
 .usage('Usage: $0 -qo')
 .options(
 	{
+		baseline: {
+			string: true
+		},
+		blame: {
+			boolean: true,
+			default: false
+		},
+		cache: {
+			boolean: true,
+			default: false
+		},
+		'cache-location': {
+			string: true
+		},
+		'changed-since': {
+			string: true
+		},
+		'code-frame': {
+			boolean: true,
+			default: false
+		},
 		config: {
 			default: true,
 			string: true
 		},
+		'diff-only': {
+			boolean: true,
+			default: false
+		},
 		'display-raw': {
 			boolean: true,
 			default: false
@@ -19,6 +44,16 @@ var optimist = require('optimist')
 			boolean: true,
 			default: false
 		},
+		'fix-dry-run': {
+			boolean: true,
+			default: false
+		},
+		format: {
+			string: true
+		},
+		'group-by': {
+			string: true
+		},
 		h: {
 			alias: 'help',
 			boolean: true,
@@ -29,6 +64,14 @@ var optimist = require('optimist')
 			boolean: true,
 			default: false
 		},
+		interactive: {
+			boolean: true,
+			default: false
+		},
+		j: {
+			alias: 'jobs',
+			default: 1
+		},
 		l: {
 			alias: 'lint',
 			boolean: true,
@@ -43,25 +86,62 @@ var optimist = require('optimist')
 			boolean: true,
 			default: false
 		},
+		'max-warnings': {
+			default: -1
+		},
 		o: {
 			alias: 'open',
 			boolean: true,
 			default: false
 		},
+		'output-file': {
+			string: true
+		},
+		'patch-file': {
+			string: true
+		},
 		q: {
 			alias: 'quiet',
 			boolean: true,
 			default: false
 		},
+		'quiet-warnings': {
+			alias: 'errors-only',
+			boolean: true,
+			default: false
+		},
 		r: {
 			alias: 'relative',
 			boolean: true,
 			default: false
 		},
+		'report-unused-disable-directives': {
+			boolean: true,
+			default: false
+		},
 		'show-columns': {
 			boolean: true,
 			default: false
 		},
+		staged: {
+			boolean: true,
+			default: false
+		},
+		stats: {
+			boolean: true,
+			default: false
+		},
+		stdin: {
+			boolean: true,
+			default: false
+		},
+		'stdin-filename': {
+			string: true
+		},
+		timing: {
+			boolean: true,
+			default: false
+		},
 		v: {
 			alias: 'verbose',
 			boolean: true,
@@ -71,6 +151,13 @@ var optimist = require('optimist')
 			alias: 'version',
 			boolean: true,
 			default: false
+		},
+		watch: {
+			boolean: true,
+			default: false
+		},
+		'write-baseline': {
+			string: true
 		}
 	}
 );
@@ -1,10 +1,58 @@
 var _ = require('lodash');
+var colors = require('cli-color-keywords')();
 
 require('lodash-namespace')(_);
 require('lodash-bindright')(_);
 
 var REGEX_NEWLINE = /\r?\n/;
 
+// The first row is the header. The names in the first columns are
+// left aligned, and the numbers after them are right aligned
+
+var getTable = (rows, nameColumns) => {
+	nameColumns = nameColumns || 1;
+
+	var widths = _.unzip(rows).map(column => _.max(_.map(column, 'length')));
+
+	return rows.map(
+		(row, index) => {
+			var line = row.map(
+				(cell, cellIndex) => {
+					var pad = cellIndex < nameColumns ? _.padEnd : _.padStart;
+
+					return pad(cell, widths[cellIndex]);
+				}
+			).join('  ');
+
+			return index ? line : colors.subtle(line);
+		}
+	).join('\n');
+};
+
+// The lines from firstLine to lastLine, with a few more lines around
+// them, or null if the violation isn't on a line of the source
+
+var getExcerpt = (lines, firstLine, lastLine, context) => {
+	var excerpt = null;
+
+	if (_.isFinite(firstLine) && lines[firstLine - 1] !== undefined) {
+		var end = Math.min(lastLine + context, lines.length);
+		var start = Math.max(firstLine - context, 1);
+
+		excerpt = _.range(start, end + 1).map(
+			(item, index) => (
+				{
+					highlight: item >= firstLine && item <= lastLine,
+					line: item,
+					text: lines[item - 1]
+				}
+			)
+		);
+	}
+
+	return excerpt;
+};
+
 var iterateLines = (contents, iterator) => {
 	var lines = contents.split(REGEX_NEWLINE);
 
@@ -30,6 +78,8 @@ module.exports = {
 	INDENT: '    ',
 	REGEX_NEWLINE,
 
+	getExcerpt,
+	getTable,
 	iterateLines,
 	jspLintStubs,
 	stubs
@@ -0,0 +1,125 @@
+'use strict';
+
+var _ = require('lodash');
+var crypto = require('crypto');
+var path = require('path');
+var Promise = require('bluebird');
+
+var fs = Promise.promisifyAll(require('fs'));
+
+var REGEX = require('./regex');
+
+var pkg = require('../package.json');
+
+var getHash = value => crypto.createHash('sha1').update(value).digest('hex');
+
+// Violations are matched on the content of their line rather than its
+// number, so adding or removing code above them doesn't invalidate them
+
+var getEntry = (error, lines) => (
+	{
+		hash: getHash((lines[_.castArray(error.line)[0] - 1] || '').trim()),
+		msg: error.msg,
+		ruleId: error.ruleId || error.type || ''
+	}
+);
+
+class Baseline {
+	constructor(config) {
+		config = config || {};
+
+		this.files = config.files || {};
+		this.location = config.location;
+
+		this._read = config.read || fs.readFileAsync.bind(fs);
+		this._write = config.write || fs.writeFileAsync.bind(fs);
+
+		this._unmatched = {};
+	}
+
+	// Each entry can only be matched once, so a violation that shows
+	// up more often than it did before is still reported
+
+	filter(file, errors, data) {
+		var lines = data.split(REGEX.NEWLINE);
+
+		var unmatched = (this.files[this._getKey(file)] || []).slice();
+
+		this._unmatched[file] = unmatched;
+
+		return errors.filter(
+			(item, index) => {
+				var matchIndex = item.type === 'ignored' ? -1 : _.findIndex(unmatched, getEntry(item, lines));
+
+				if (matchIndex > -1) {
+					unmatched.splice(matchIndex, 1);
+				}
+
+				return matchIndex === -1;
+			}
+		);
+	}
+
+	getFixedCount() {
+		return _.sumBy(_.values(this._unmatched), 'length');
+	}
+
+	load() {
+		var instance = this;
+
+		return instance._read(instance.location, 'utf-8').then(
+			contents => {
+				instance.files = JSON.parse(contents).files || {};
+			}
+		).return(instance);
+	}
+
+	record(file, errors, data) {
+		var lines = data.split(REGEX.NEWLINE);
+
+		var entries = _.reject(errors, ['type', 'ignored']).map(item => getEntry(item, lines));
+
+		var key = this._getKey(file);
+
+		if (entries.length) {
+			this.files[key] = _.sortBy(entries, ['ruleId', 'msg', 'hash']);
+		}
+		else {
+			delete this.files[key];
+		}
+	}
+
+	// Files are sorted, so the baseline can be checked in
+	// without every update reordering it
+
+	save() {
+		var files = this.files;
+
+		var contents = JSON.stringify(
+			{
+				files: _.keys(files).sort().reduce(
+					(prev, item, index) => {
+						prev[item] = files[item];
+
+						return prev;
+					},
+					{}
+				),
+				version: pkg.version
+			},
+			null,
+			'\t'
+		);
+
+		return this._write(this.location, contents);
+	}
+
+	// Paths are stored relative to the baseline, so it works
+	// no matter which directory the files are checked from
+
+	_getKey(file) {
+		return path.relative(path.dirname(this.location), file).split(path.sep).join('/');
+	}
+}
+
+module.exports = Baseline;
\ No newline at end of file
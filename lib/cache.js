@@ -0,0 +1,84 @@
+'use strict';
+
+var _ = require('lodash');
+var crypto = require('crypto');
+var Promise = require('bluebird');
+
+var fs = Promise.promisifyAll(require('fs'));
+
+var pkg = require('../package.json');
+
+class Cache {
+	constructor(config) {
+		config = config || {};
+
+		this.entries = config.entries || {};
+		this.location = config.location;
+
+		this._read = config.read || fs.readFileAsync.bind(fs);
+		this._write = config.write || fs.writeFileAsync.bind(fs);
+	}
+
+	get(file, key) {
+		var entry = this.entries[file];
+
+		return entry && entry.key === key ? entry : null;
+	}
+
+	load() {
+		var instance = this;
+
+		return instance._read(instance.location, 'utf-8').then(
+			contents => {
+				instance.entries = JSON.parse(contents).files || {};
+			}
+		).catch(
+			() => {
+				instance.entries = {};
+			}
+		).return(instance);
+	}
+
+	save() {
+		var contents = JSON.stringify(
+			{
+				files: this.entries,
+				version: pkg.version
+			}
+		);
+
+		return this._write(this.location, contents);
+	}
+
+	set(file, key, value) {
+		var entry = _.assign(
+			{
+				key
+			},
+			value
+		);
+
+		this.entries[file] = entry;
+
+		return entry;
+	}
+}
+
+// The package version is part of every key, so upgrading
+// will never replay results from older rules
+
+Cache.getKey = (...parts) => {
+	var hash = crypto.createHash('sha1');
+
+	hash.update(pkg.version);
+
+	parts.forEach(
+		(item, index) => {
+			hash.update(_.isString(item) ? item : String(JSON.stringify(item)));
+		}
+	);
+
+	return hash.digest('hex');
+};
+
+module.exports = Cache;
\ No newline at end of file
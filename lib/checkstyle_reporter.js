@@ -0,0 +1,29 @@
+'use strict';
+
+var Handlebars = require('content-logger-handlebars-helpers')();
+var path = require('path');
+
+var Reporter = require('./reporter');
+
+// Unlike the JUnit report, every violation is its own element,
+// so CI servers can annotate each line
+
+class CheckstyleReporter extends Reporter {
+	render(results) {
+		return this.read(this.TPL_PATH, 'utf-8').then(
+			tpl => {
+				var xmlTpl = Handlebars.compile(tpl);
+
+				return xmlTpl(
+					{
+						files: results
+					}
+				);
+			}
+		);
+	}
+}
+
+CheckstyleReporter.prototype.TPL_PATH = path.join(__dirname, 'tpl', 'checkstyle_report.tpl');
+
+module.exports = CheckstyleReporter;
\ No newline at end of file
@@ -5,6 +5,9 @@ var Promise = require('bluebird');
 
 var fs = Promise.promisifyAll(require('fs'));
 var glob = Promise.promisify(require('glob'));
+var hasMagic = require('glob').hasMagic;
+var ignore = require('ignore');
+var os = require('os');
 var path = require('path');
 var util = require('util');
 
@@ -15,13 +18,55 @@ var argv = require('./argv');
 var colors = require('cli-color-keywords')();
 var junit = require('./junit');
 
+var Baseline = require('./baseline');
+var Cache = require('./cache');
 var Config = require('./config');
 var File = require('./file');
 var Formatter = require('./formatter');
+var git = require('./git');
 
 var EventEmitter = require('drip').EnhancedEmitter;
 
 var Logger = require('./logger');
+var patch = require('./patch');
+var prompt = require('./prompt');
+var REGEX = require('./regex');
+var reporters = require('./reporters');
+var suppressions = require('./suppressions');
+var timing = require('./timing');
+var WorkerPool = require('./worker_pool');
+
+// Flags that change what gets logged or fixed for the same contents
+
+var CACHE_FLAGS = ['force', 'inlineEdit', 'lint', 'reportUnusedDisableDirectives', 'verbose'];
+
+// Dependencies and build output are never worth checking when
+// a whole directory or a glob is passed in
+
+var DEFAULT_IGNORE = ['**/build/**', '**/classes/**', '**/dist/**', '**/node_modules/**'];
+
+var MAP_ANSWERS = {
+	a: true,
+	n: true,
+	q: true,
+	y: true
+};
+
+// New config files should be picked up while watching, not only
+// the ones that were found when the files were first checked
+
+var MAP_CONFIG_FILES = {
+	'.csfrc': true,
+	'csf.config.js': true
+};
+
+// Instead of each file's violations, show the violations under their
+// rule or the author of their line once all of the files are done
+
+var MAP_GROUP_BY = {
+	author: true,
+	rule: true
+};
 
 var MAP_OMIT = {
 	'$0': true,
@@ -44,25 +89,61 @@ var flags = _.reduce(
 
 var filterFileErrors = errors => _.reject(errors, ['type', 'ignored']);
 
+var filterWarnings = errors => _.reject(errors, ['severity', 'warning']);
+
+var hasChangedLine = (line, ranges) => {
+	var lines = _.isArray(line) ? line : [line, line];
+
+	return !_.isFinite(lines[0]) || ranges.some(range => lines[0] <= range[1] && lines[1] >= range[0]);
+};
+
 class CLI extends EventEmitter {
 	constructor(config) {
 		super();
 
 		config = config || {};
 
+		this._configErrors = {};
 		this._configs = {};
 		this._configFiles = {};
+		this._fileTypes = {};
 
 		this.flags = _.defaults(config.flags, flags);
 
+		// When the fixed source or a report is going to stdout, keep everything else out of it
+
+		this._reportToStdout = !!this.flags.format && !this.flags.outputFile;
+
+		var log = (this.flags.stdin && this.flags.inlineEdit) || this._reportToStdout ? console.error : console.log;
+
+		// A dry run needs the same fixed contents, it just doesn't write them
+
+		if (this.flags.fixDryRun) {
+			this.flags.inlineEdit = true;
+		}
+
+		// The author of each line comes from git blame
+
+		if (this.flags.groupBy === 'author') {
+			this.flags.blame = true;
+		}
+
+		timing.enabled = !!this.flags.timing;
+
 		this._args = config.args || argv._;
 		this._cwd = config.cwd || process.cwd();
 		this._exec = config.exec || cli.exec.bind(cli);
+		this._git = config.git || git;
 		this.junit = config.junit || junit;
-		this._log = config.log || console.log.bind(console);
+		this._log = config.log || log.bind(console);
 		this._logger = config.logger || Logger;
 		this._read = config.read || fs.readFileAsync.bind(fs);
+		this.reporters = config.reporters || reporters;
+		this._stdin = config.stdin || process.stdin;
+		this._stdout = config.stdout || process.stdout;
+		this._watchFs = config.watch || fs.watch.bind(fs);
 		this._write = config.write || fs.writeFileAsync.bind(fs);
+		this.WorkerPool = config.WorkerPool || WorkerPool;
 	}
 
 	init() {
@@ -74,27 +155,16 @@ class CLI extends EventEmitter {
 			}
 		);
 
-		return Promise.map(instance._args, _.unary(glob))
-		.then(
-			args => {
-				return args.map(
-					(item, index) => {
-						if (!item.length) {
-							item = instance._args[index];
-						}
-
-						return item;
-					}
-				);
-			}
-		)
-		.then(_.flatten)
+		return this._resolveArgs()
 		.then(
 			args => {
 				instance._args = args;
 			}
 		)
 		.bind(instance)
+		.then(this._loadBaseline)
+		.then(this._loadCache)
+		.then(this._loadChangedLines)
 		.then(this._loadConfigs)
 		.then(
 			configs => {
@@ -104,7 +174,8 @@ class CLI extends EventEmitter {
 			}
 		)
 		.bind(instance)
-		.then(instance._start);
+		.then(instance._start)
+		.tap(instance._watch);
 	}
 
 	afterFormat(results) {
@@ -112,7 +183,16 @@ class CLI extends EventEmitter {
 
 		var series = [];
 
-		if (instance.flags.inlineEdit) {
+		if (instance.flags.fixDryRun) {
+			series = instance._previewFixes(results);
+		}
+		else if (instance.flags.inlineEdit && instance.flags.stdin) {
+			series = results.map(_.unary(instance.writeStdout).bind(instance));
+		}
+		else if (instance.flags.inlineEdit && instance.flags.interactive) {
+			series = instance._confirmFixes(results);
+		}
+		else if (instance.flags.inlineEdit) {
 			series = Promise.reduce(
 				results,
 				(prev, item, index) => {
@@ -144,18 +224,26 @@ class CLI extends EventEmitter {
 	}
 
 	createReport(results) {
+		var reports = [];
+
 		if (this.flags.junit) {
 			var junit = new this.junit(
 				{
+					cwd: this._root || this._cwd,
+					files: results,
 					flags: this.flags,
 					logger: this._logger
 				}
 			);
 
-			results = junit.generate().return(results);
+			reports.push(junit.generate());
 		}
 
-		return results;
+		if (this.flags.format) {
+			reports.push(this._createFormattedReport(results));
+		}
+
+		return Promise.all(reports).return(results);
 	}
 
 	formatFile(contents, file) {
@@ -172,6 +260,25 @@ class CLI extends EventEmitter {
 		return contents;
 	}
 
+	getExitCode() {
+		var exitCode = this._exitCode;
+
+		// Any error fails, but warnings only do once there are more
+		// than --max-warnings (which has no limit by default)
+
+		if (!exitCode) {
+			var testStats = this._logger.testStats;
+
+			var maxWarnings = _.toInteger(this.flags.maxWarnings);
+
+			var tooManyWarnings = maxWarnings > -1 && testStats.warnings > maxWarnings;
+
+			exitCode = testStats.errors > 0 || tooManyWarnings ? CLI.EXIT_VIOLATIONS : CLI.EXIT_OK;
+		}
+
+		return exitCode;
+	}
+
 	hasModulesFile(fileDir) {
 		return fs.existsSync(path.join(fileDir, 'modules.js'));
 	}
@@ -187,15 +294,28 @@ class CLI extends EventEmitter {
 		}
 	}
 
+	// Anything else that needs to be shown goes through here, so it
+	// stays out of the fixed source or the report on stdout
+
+	log(msg) {
+		this._log(msg);
+	}
+
 	logGeneralError(err) {
 		var msg = util.format(`${colors.error('Something went wrong.\nDetails below:')}\n%s`, err.stack);
 
+		this._setExitCode(CLI.EXIT_ERROR);
+
 		this._log(msg);
 
 		return msg;
 	}
 
 	logResults(out, file) {
+		if (this._reportToStdout) {
+			return;
+		}
+
 		if (out) {
 			this._log(out);
 		}
@@ -207,6 +327,48 @@ class CLI extends EventEmitter {
 		}
 	}
 
+	// With --group-by, the violations are only rendered once every
+	// file has been checked. The --stats and --timing tables go after them
+
+	logSummary(results) {
+		var flags = this.flags;
+
+		_.forEach(
+			results,
+			(item, index) => {
+				if (item && item.formatter) {
+					this._fileTypes[item.file] = item.formatter;
+				}
+			}
+		);
+
+		var config = {
+			showColumns: flags.showColumns
+		};
+
+		if (flags.relative) {
+			config.relative = process.env.GIT_PWD || this._cwd;
+		}
+
+		var out = [];
+
+		if (MAP_GROUP_BY[flags.groupBy] && !flags.filenames && !this._reportToStdout) {
+			out.push(this._logger.renderGroups(flags.groupBy, config));
+		}
+
+		if (flags.stats) {
+			out.push(this._logger.renderStats(this._fileTypes));
+		}
+
+		if (flags.timing) {
+			out.push(timing.render());
+		}
+
+		_.compact(out).forEach(_.unary(this._log));
+
+		return results;
+	}
+
 	onFinish(results) {
 		if (this.flags.open) {
 			this.openFiles(results);
@@ -223,6 +385,8 @@ class CLI extends EventEmitter {
 		var errMsg = File.handleFileReadError(err, file);
 
 		if (errMsg) {
+			this._setExitCode(CLI.EXIT_ERROR);
+
 			this._log('');
 			this._log(errMsg);
 			this._log('');
@@ -235,6 +399,40 @@ class CLI extends EventEmitter {
 		};
 	}
 
+	onWorkerResult(response, file) {
+		var result = response.result;
+
+		this._replayErrors(response, file);
+
+		_.forEach(
+			response.timings,
+			(item, index) => {
+				timing.add(item.id, item.type, item.time);
+			}
+		);
+
+		if (response.cacheEntry) {
+			this._cache.entries[this._getCachePath(file)] = response.cacheEntry;
+		}
+
+		if (result.err) {
+			result = this.onReadError(result.err, file);
+		}
+		else if (_.isObject(result)) {
+			this.isMetaCheckNeeded(file);
+
+			this._applyBaseline(file, result.data);
+
+			result = this._applyBlame(file).bind(this).return(result).tap(
+				function(result) {
+					this.logResults(this.renderOutput(file, result.data), file);
+				}
+			);
+		}
+
+		return result;
+	}
+
 	openFiles(result) {
 		var instance = this;
 
@@ -253,7 +451,7 @@ class CLI extends EventEmitter {
 	}
 
 	processFile(file) {
-		return this._read(file, 'utf-8')
+		return this._read(this._resolvePath(file), 'utf-8')
 				.then(_.bindKeyRight(this, 'onRead', file))
 				.error(_.bindKeyRight(this, 'onReadError', file));
 	}
@@ -261,34 +459,74 @@ class CLI extends EventEmitter {
 	processFileData(data, formatter) {
 		var file = formatter.file;
 
-		var res = Promise.resolve(formatter.format(data));
+		var startTime = Date.now();
+
+		var cacheKey = this._getCacheKey(data, formatter);
+
+		var cached = cacheKey && this._cache.get(this._getCachePath(file), cacheKey);
+
+		var res;
+
+		if (cached) {
+			res = Promise.resolve(this._replayCached(cached, data, file));
+		}
+		else {
+			res = Promise.resolve(formatter.format(data));
+		}
 
 		return res.bind(this).then(
 			function(contents) {
-				this.logResults(this.renderOutput(file), file);
+				if (!cached) {
+					contents = this._applySuppressions(file, data, contents);
+				}
+
+				if (cacheKey && !cached) {
+					this._updateCache(file, cacheKey, data, contents);
+				}
 
-				return {
+				this._applyBaseline(file, data);
+
+				var result = {
+					configPath: _.get(formatter._config, '_paths.obj.filepath') || null,
 					contents,
 					data,
-					file
+					file,
+					formatter: formatter.constructor.id,
+					time: Date.now() - startTime
 				};
+
+				return this._applyBlame(file).return(result);
+			}
+		).tap(
+			function() {
+				this.logResults(this.renderOutput(file, data), file);
 			}
 		);
 	}
 
-	renderOutput(file) {
+	renderOutput(file, data) {
 		var flags = this.flags;
 
 		var config = {
 			showColumns: flags.showColumns
 		};
 
+		if (flags.codeFrame) {
+			config.source = data;
+		}
+
 		var out;
 
 		if (flags.relative) {
 			config.relative = process.env.GIT_PWD || this._cwd;
 		}
 
+		var hidden = this._filterUnchangedLines(file);
+
+		if (flags.quietWarnings) {
+			this._logger.filterFileErrors(file, filterWarnings);
+		}
+
 		if (flags.filenames) {
 			out = this._logger.renderFileNames(file, config);
 		}
@@ -303,99 +541,1000 @@ class CLI extends EventEmitter {
 				);
 			}
 
-			out = this._logger.render(file, config);
+			out = MAP_GROUP_BY[flags.groupBy] ? '' : this._logger.render(file, config);
+
+			if (out && hidden) {
+				out += `    ${colors.subtle(util.format('%d pre-existing violation(s) hidden', hidden))}\n`;
+			}
 		}
 
 		return out;
 	}
 
 	writeFile(file, contents) {
-		return this._write(file, contents)
+		return this._write(this._resolvePath(file), contents)
 				.then(_.bind(_.ary(util.format, 2), util, 'Wrote file: %s', file))
 				.error(File.handleFileWriteError.bind(this, file))
 				.then(_.unary(this._log).bind(this));
 	}
 
-	_loadConfigs() {
-		var instance = this;
+	writeStdout(item) {
+		var contents = _.isString(item) ? item : item.contents;
 
-		return Promise.reduce(
-			instance._args,
-			(prev, item, index) => {
-				var filePath = path.resolve(instance._cwd, path.dirname(item));
+		this._stdout.write(contents);
 
-				var res;
+		return Promise.resolve(contents);
+	}
 
-				if (instance.flags.config) {
-					res = instance._config.load(filePath);
-				}
-				else {
-					var cfg = new Config({});
+	// The baseline is only applied in the process that renders the
+	// output, since the workers never load it
 
-					cfg._paths.cwd = instance._cwd;
+	_applyBaseline(file, data) {
+		var baseline = this._baseline;
 
-					res = Promise.resolve(cfg);
+		if (baseline) {
+			var filePath = path.resolve(this._cwd, this._resolvePath(file));
+
+			var logger = this._logger;
+
+			if (this.flags.writeBaseline) {
+				baseline.record(filePath, logger.getErrors(file), data);
+			}
+			else {
+				logger.filterFileErrors(file, errors => baseline.filter(filePath, errors, data));
+			}
+		}
+	}
+
+	// Each violation gets the author, email, commit and date of its
+	// (first) line. Files that git doesn't know about are left as they are
+
+	_applyBlame(file) {
+		var errors = filterFileErrors(this._logger.getErrors(file));
+
+		var retVal = Promise.resolve();
+
+		if (this.flags.blame && errors.length) {
+			retVal = this._git.getBlame(path.resolve(this._cwd, this._resolvePath(file))).then(
+				blame => {
+					errors.forEach(
+						(item, index) => {
+							var line = _.castArray(item.line)[0];
+
+							if (blame[line]) {
+								item.blame = blame[line];
+							}
+						}
+					);
 				}
+			).catch(_.noop);
+		}
 
-				return res.then(
-					config => {
-						prev[item] = config;
+		return retVal;
+	}
 
-						var obj = config._paths.obj;
+	// Cached results were stored with the suppressions already applied.
+	// Fixes on suppressed lines are undone, so they're only reported and
+	// fixed when they aren't suppressed
 
-						if (obj) {
-							instance._configFiles[obj.filepath] = true;
+	_applySuppressions(file, data, contents) {
+		var directives = suppressions.parse(data);
+
+		if (directives.length) {
+			var logger = this._logger;
+
+			if (_.isString(contents) && contents !== data) {
+				var suppressedLines = suppressions.getSuppressedLines(logger.getErrors(file), directives, data.split(REGEX.NEWLINE).length);
+
+				var changes = patch.getChanges(data, contents);
+
+				changes.forEach(
+					(item, index) => {
+						if (item.changed) {
+							var lines = item.oldLines ? _.range(item.line, item.line + item.oldLines) : [item.line - 1, item.line];
+
+							item.accepted = !lines.some(line => suppressedLines[line]);
 						}
+					}
+				);
 
-						return prev;
+				contents = patch.applyChanges(changes);
+			}
+
+			logger.filterFileErrors(file, _.partialRight(suppressions.filter, directives));
+
+			if (this.flags.reportUnusedDisableDirectives) {
+				suppressions.getUnused(directives).forEach(
+					(item, index) => {
+						logger.log(
+							item.line,
+							item.msg,
+							file,
+							suppressions.UNUSED_DIRECTIVE_ID,
+							{
+								ruleId: suppressions.UNUSED_DIRECTIVE_ID
+							}
+						);
 					}
 				);
-			},
-			{}
+			}
+		}
+
+		return contents;
+	}
+
+	_confirmChange(change, file) {
+		var instance = this;
+
+		// Added lines are blamed on the line before them
+
+		var lines = change.oldLines ? [change.line, change.line + change.oldLines - 1] : [change.line - 1, change.line];
+
+		var rules = instance._logger.getErrors(file).filter(
+			item => item.fixable && _.isFinite(_.castArray(item.line)[0]) && hasChangedLine(item.line, [lines])
+		).map(
+			item => {
+				var msg = item.msg;
+
+				if (item.ruleId) {
+					msg += ` (${item.ruleId})`;
+				}
+
+				return msg;
+			}
+		);
+
+		instance._log(patch.colorize(patch.formatChange(change)));
+		instance._log(colors.subtle(util.format('Rule: %s', rules.length ? _.uniq(rules).join(', ') : 'unknown')));
+
+		return instance._prompt('Apply this fix [y,n,a,q]? ').then(
+			answer => {
+				answer = _.trim(answer).charAt(0).toLowerCase();
+
+				return MAP_ANSWERS[answer] ? answer : instance._confirmChange(change, file);
+			}
 		);
 	}
 
-	_notifyConfig() {
-		if (this.flags.config && !this.flags.filenames) {
-			var configFiles = _.keys(this._configFiles);
+	// Works like `git add -p`: "all" accepts the rest of the changes in
+	// the file, and "quit" keeps what was accepted so far and stops asking
 
-			var configSize = configFiles.length;
+	_confirmFixes(results) {
+		var instance = this;
 
-			if (configSize) {
-				var msg;
+		var quit = false;
 
-				if (configSize === 1) {
-					msg = `Using local config from ${configFiles[0]}`;
+		var confirmChanges = item => {
+			var acceptAll = false;
+
+			var changes = patch.getChanges(item.data, item.contents);
+
+			instance._log(util.format('File: %s', item.file));
+
+			return Promise.mapSeries(
+				changes.filter(change => change.changed),
+				change => {
+					var retVal;
+
+					if (acceptAll) {
+						change.accepted = true;
+					}
+					else if (!quit) {
+						retVal = instance._confirmChange(change, item.file).then(
+							answer => {
+								acceptAll = answer === 'a';
+								quit = answer === 'q';
+
+								change.accepted = answer === 'a' || answer === 'y';
+							}
+						);
+					}
+
+					return retVal;
 				}
-				else if (this.flags.verbose) {
-					msg = `Using local config from: \n${configFiles.join('\n')}`;
+			).then(
+				() => {
+					var contents = patch.applyChanges(changes);
+
+					return contents === item.data ? null : instance.writeFile(item.file, contents);
 				}
-				else {
-					msg = `Using local config from ${configSize} files. Pass -v to see all locations`;
+			);
+		};
+
+		return Promise.mapSeries(
+			results,
+			item => {
+				var retVal = null;
+
+				if (!quit && item && !item.err && item.contents !== item.data) {
+					retVal = confirmChanges(item);
 				}
 
-				msg += '\n';
+				return retVal;
+			}
+		).finally(
+			() => {
+				if (instance._promptInterface) {
+					instance._promptInterface.close();
 
-				this._log(msg);
+					instance._promptInterface = null;
+				}
 			}
-		}
+		);
 	}
 
-	_start() {
-		this.emit('init');
+	_createFormattedReport(results) {
+		var flags = this.flags;
 
-		this._notifyConfig();
+		return Promise.try(
+			() => {
+				var Reporter = this.reporters.get(flags.format, this._cwd);
+
+				var reporter = new Reporter(
+					{
+						cwd: this._root || this._cwd,
+						files: results,
+						flags,
+						logger: this._logger,
+						outputPath: flags.outputFile ? path.resolve(this._cwd, flags.outputFile) : null,
+						stdout: this._stdout,
+						write: this._write
+					}
+				);
 
-		return Promise.all(this._args)
-				.bind(this)
-				.mapSeries(_.unary(this.processFile))
-				.then(this.checkMeta)
-				.then(this.createReport)
-				.then(this.afterFormat);
+				return reporter.generate();
+			}
+		).catch(
+			err => {
+				this._setExitCode(CLI.EXIT_ERROR);
+
+				this._log(colors.error(err.message));
+			}
+		);
 	}
-}
 
-CLI.prototype._metaCheckerPath = './meta';
+	_expandDirectories(args) {
+		var instance = this;
+
+		return Promise.map(
+			args,
+			item => fs.statAsync(path.resolve(instance._cwd, item)).catch(_.noop).then(
+				stats => {
+					var retVal = item;
+
+					if (stats && stats.isDirectory()) {
+						retVal = instance._getDirectoryFiles(item);
+					}
+
+					return retVal;
+				}
+			)
+		).then(
+			results => _.uniqBy(_.flatten(results), item => path.resolve(instance._cwd, item))
+		);
+	}
+
+	// Only keep the violations on lines that were changed since the ref
+	// Untracked files are new, so everything in them counts as changed
+
+	_filterUnchangedLines(file) {
+		var changedLines = this._changedLines;
+
+		var hidden = 0;
+
+		var filePath = path.resolve(this._cwd, this._resolvePath(file));
+
+		if (changedLines && !this._untrackedFiles[filePath]) {
+			var logger = this._logger;
+
+			var ranges = changedLines[filePath] || [];
+
+			var count = logger.getErrors(file).length;
+
+			logger.filterFileErrors(
+				file,
+				errors => errors.filter(item => hasChangedLine(item.line, ranges))
+			);
+
+			hidden = count - logger.getErrors(file).length;
+		}
+
+		return hidden;
+	}
+
+	_getCacheKey(data, formatter) {
+		var key;
+
+		if (this._cache) {
+			key = Cache.getKey(data, formatter.config(), _.pick(this.flags, CACHE_FLAGS));
+		}
+
+		return key;
+	}
+
+	_getCachePath(file) {
+		return path.resolve(this._resolvePath(file));
+	}
+
+	_getChangedFiles() {
+		var instance = this;
+
+		var flags = instance.flags;
+		var git = instance._git;
+
+		// New files haven't been committed yet, so git diff doesn't list
+		// them. They can't be staged without showing up in the diff either
+
+		return git.getRoot(instance._cwd).then(
+			root => {
+				instance._root = root;
+
+				return Promise.join(
+					git.getChangedFiles(
+						{
+							cwd: root,
+							ref: flags.changedSince,
+							staged: flags.staged
+						}
+					),
+					flags.staged ? [] : git.getUntrackedFiles(root),
+					_.union
+				);
+			}
+		);
+	}
+
+	_getDirectoryFiles(dir) {
+		var instance = this;
+
+		var dirPath = path.resolve(instance._cwd, dir);
+
+		return Promise.all(
+			[
+				glob(
+					'**/*',
+					{
+						cwd: dirPath,
+						ignore: DEFAULT_IGNORE,
+						nodir: true
+					}
+				),
+				instance._getIgnoreFilter(dirPath)
+			]
+		).spread(
+			(files, ignored) => files.map(
+				item => path.join(dir, item)
+			).filter(
+				item => instance._hasFormatter(item) && !ignored(path.resolve(instance._cwd, item))
+			)
+		);
+	}
+
+	// Patterns in .csfignore are relative to the current directory, and the
+	// ones in the "ignore" config to the directory of the config file
+
+	_getIgnoreFilter(dirPath) {
+		var instance = this;
+
+		var config = instance.flags.config ? instance._config.load(dirPath) : null;
+
+		return Promise.all(
+			[
+				fs.readFileAsync(path.join(instance._cwd, '.csfignore'), 'utf-8').catch(() => ''),
+				config
+			]
+		).spread(
+			(ignoreFile, config) => {
+				var rules = [
+					{
+						base: instance._cwd,
+						ignore: ignore().add(ignoreFile)
+					}
+				];
+
+				var configFile = config && config._paths.obj;
+
+				if (configFile && config.ignore) {
+					rules.push(
+						{
+							base: path.dirname(configFile.filepath),
+							ignore: ignore().add(config.ignore)
+						}
+					);
+				}
+
+				return filePath => rules.some(
+					item => {
+						var relPath = path.relative(item.base, filePath);
+
+						return !!relPath && relPath.indexOf('..') !== 0 && item.ignore.ignores(relPath.split(path.sep).join('/'));
+					}
+				);
+			}
+		);
+	}
+
+	_getJobCount() {
+		var jobs = this.flags.jobs;
+
+		if (jobs === true) {
+			jobs = os.cpus().length;
+		}
+
+		return Math.max(parseInt(jobs, 10) || 1, 1);
+	}
+
+	// Files that are passed by name are always checked, but the ones a
+	// glob matches are skipped the same way as in a directory
+
+	_globArgs(args) {
+		var instance = this;
+
+		return Promise.all(
+			[
+				Promise.map(
+					args,
+					item => glob(
+						item,
+						{
+							cwd: instance._cwd,
+							ignore: DEFAULT_IGNORE
+						}
+					)
+				),
+				instance._getIgnoreFilter(instance._cwd)
+			]
+		).spread(
+			(results, ignored) => results.map(
+				(item, index) => {
+					var arg = args[index];
+
+					if (!item.length || !hasMagic(arg)) {
+						item = arg;
+					}
+					else {
+						item = item.filter(file => !ignored(path.resolve(instance._cwd, file)));
+					}
+
+					return item;
+				}
+			)
+		)
+		.then(_.flatten);
+	}
+
+	_hasFormatter(file) {
+		var force = this.flags.force;
+
+		return _.some(
+			Formatter._registered,
+			item => item.includes.test(file) && (force || !item.excludes || !item.excludes.test(file))
+		);
+	}
+
+	// A baseline that's about to be written doesn't need to exist yet,
+	// but the entries for files that aren't being checked are kept
+
+	_loadBaseline() {
+		var flags = this.flags;
+
+		var location = flags.writeBaseline || flags.baseline;
+
+		var retVal;
+
+		if (location && !this._baseline) {
+			var baseline = new Baseline(
+				{
+					location: path.resolve(this._cwd, location),
+					read: this._read,
+					write: this._write
+				}
+			);
+
+			retVal = baseline.load().catch(
+				err => {
+					if (!flags.writeBaseline) {
+						this._log(File.handleFileReadError(err, baseline.location));
+					}
+				}
+			).then(
+				() => {
+					this._baseline = baseline;
+				}
+			);
+		}
+
+		return retVal;
+	}
+
+	_loadCache() {
+		var flags = this.flags;
+
+		var retVal;
+
+		if (flags.cache && !this._cache) {
+			var cache = new Cache(
+				{
+					location: path.resolve(this._cwd, flags.cacheLocation || '.csfcache')
+				}
+			);
+
+			retVal = cache.load().then(
+				cache => {
+					this._cache = cache;
+				}
+			);
+		}
+
+		return retVal;
+	}
+
+	_loadChangedLines() {
+		var instance = this;
+
+		var flags = instance.flags;
+		var git = instance._git;
+
+		var retVal;
+
+		if (flags.diffOnly) {
+			retVal = git.getRoot(instance._cwd).then(
+				root => {
+					var toAbsolutePath = file => path.join(root, file);
+
+					return Promise.join(
+						git.getChangedLines(
+							{
+								cwd: root,
+								ref: flags.changedSince || 'HEAD',
+								staged: flags.staged
+							}
+						),
+						git.getUntrackedFiles(root),
+						(changedLines, untrackedFiles) => {
+							instance._changedLines = _.mapKeys(changedLines, (item, index) => toAbsolutePath(index));
+							instance._untrackedFiles = _.keyBy(untrackedFiles.map(toAbsolutePath));
+						}
+					);
+				}
+			);
+		}
+
+		return retVal;
+	}
+
+	_loadConfigs() {
+		var instance = this;
+
+		return Promise.reduce(
+			instance._args,
+			(prev, item, index) => {
+				var filePath = path.resolve(instance._root || instance._cwd, path.dirname(item));
+
+				var res;
+
+				if (instance.flags.config) {
+					res = instance._config.load(filePath);
+				}
+				else {
+					var cfg = new Config({});
+
+					cfg._paths.cwd = instance._cwd;
+
+					res = Promise.resolve(cfg);
+				}
+
+				return res.then(
+					config => {
+						prev[item] = config;
+
+						var err = config._paths.err;
+
+						if (err && !instance._configErrors[filePath]) {
+							instance._configErrors[filePath] = true;
+
+							instance._log(util.format('%s: %s\n%s\n', colors.error('Could not load config for'), filePath, err.message));
+
+							instance._setExitCode(CLI.EXIT_CONFIG_ERROR);
+						}
+
+						var obj = config._paths.obj;
+
+						if (obj) {
+							instance._configFiles[obj.filepath] = true;
+						}
+
+						return prev;
+					}
+				);
+			},
+			{}
+		);
+	}
+
+	_notifyConfig() {
+		if (this.flags.config && !this.flags.filenames) {
+			var configFiles = _.keys(this._configFiles);
+
+			var configSize = configFiles.length;
+
+			if (configSize) {
+				var msg;
+
+				if (configSize === 1) {
+					msg = `Using local config from ${configFiles[0]}`;
+				}
+				else if (this.flags.verbose) {
+					msg = `Using local config from: \n${configFiles.join('\n')}`;
+				}
+				else {
+					msg = `Using local config from ${configSize} files. Pass -v to see all locations`;
+				}
+
+				msg += '\n';
+
+				this._log(msg);
+			}
+		}
+	}
+
+	_previewFixes(results) {
+		var instance = this;
+
+		var patchFile = instance.flags.patchFile;
+
+		var patches = results.reduce(
+			(prev, item, index) => {
+				if (item && !item.err && item.contents !== item.data) {
+					var filePath = path.relative(instance._cwd, path.resolve(instance._cwd, instance._resolvePath(item.file)));
+
+					var filePatch = patch.create(filePath, item.data, item.contents);
+
+					// Not every formatter reports its fixes, but each
+					// run of changed lines has at least one
+
+					var fixCount = _.filter(instance._logger.getErrors(item.file), 'fixable').length || patch.getFixCount(item.data, item.contents);
+
+					instance._log(util.format('%s: %d fix(es) would be applied', item.file, fixCount));
+
+					if (!patchFile) {
+						instance._log(patch.colorize(filePatch));
+					}
+
+					prev.push(filePatch);
+				}
+
+				return prev;
+			},
+			[]
+		);
+
+		var series = [];
+
+		if (!patches.length) {
+			instance._log('No fixes would be applied');
+		}
+		else if (patchFile) {
+			series.push(
+				instance._write(path.resolve(instance._cwd, patchFile), patches.join(''))
+					.then(_.constant(util.format('Wrote patch: %s', patchFile)))
+					.error(err => File.handleFileWriteError(err, patchFile))
+					.then(_.unary(instance._log))
+			);
+		}
+
+		return series;
+	}
+
+	_processFiles(files) {
+		var jobs = this._getJobCount();
+
+		var retVal;
+
+		if (jobs > 1 && files.length > 1) {
+			retVal = this._processFilesInPool(files, jobs);
+		}
+		else {
+			retVal = Promise.all(files)
+				.bind(this)
+				.mapSeries(_.unary(this.processFile));
+		}
+
+		return retVal;
+	}
+
+	// Every file is sent to the pool right away, but the results are
+	// handled one at a time, in the order the files were passed in
+
+	_processFilesInPool(files, size) {
+		var instance = this;
+
+		var pool = new instance.WorkerPool(
+			{
+				size
+			}
+		);
+
+		var flags = _.omitBy(instance.flags, _.isFunction);
+
+		var cache = instance._cache;
+
+		var pending = files.map(
+			(item, index) => pool.run(
+				{
+					cacheEntry: cache && cache.entries[instance._getCachePath(item)],
+					cwd: instance._cwd,
+					file: item,
+					flags,
+					root: instance._root
+				}
+			)
+		);
+
+		return Promise.mapSeries(
+			pending,
+			(item, index) => instance.onWorkerResult(item, files[index])
+		).finally(_.bindKey(pool, 'end'));
+	}
+
+	_prompt(question) {
+		if (!this._promptInterface) {
+			this._promptInterface = prompt.create(this._stdin, this._stdout);
+		}
+
+		return this._promptInterface.ask(question);
+	}
+
+	_readStdin() {
+		var instance = this;
+
+		var file = instance.flags.stdinFilename || '<input>';
+
+		return File.readStream(instance._stdin).then(
+			contents => {
+
+				// The piped source is the only "file" we have, so serve
+				// it in place of reading from disk
+
+				instance._read = () => Promise.resolve(contents);
+
+				return [file];
+			}
+		);
+	}
+
+	_recheckFiles(files) {
+		var recheckFile = file => {
+			this._logger.clearFileErrors(file);
+
+			return this.processFile(file);
+		};
+
+		this._watchQueue = this._watchQueue
+				.then(() => Promise.mapSeries(files, recheckFile))
+				.bind(this)
+				.tap(this._saveCache)
+				.then(this.logSummary)
+				.then(this.afterFormat)
+				.catch(this.logGeneralError);
+
+		return this._watchQueue;
+	}
+
+	_reloadConfigs() {
+		Formatter.clearConfigCache();
+
+		this._config = new Config.Loader(
+			{
+				cwd: this._cwd
+			}
+		);
+
+		this._configErrors = {};
+		this._configFiles = {};
+
+		this._watchQueue = this._watchQueue.bind(this).then(this._loadConfigs).then(
+			configs => {
+				this._configs = configs;
+
+				this._notifyConfig();
+			}
+		);
+
+		return this._recheckFiles(this._args);
+	}
+
+	_replayCached(cached, data, file) {
+		this._replayErrors(cached, file);
+
+		return _.isNull(cached.contents) ? data : cached.contents;
+	}
+
+	_replayErrors(result, file) {
+		var logger = this._logger;
+
+		result.errors.forEach(
+			(item, index) => {
+				logger.log(item.line, item.msg, file, item.type, _.omit(item, ['line', 'msg', 'type']));
+			}
+		);
+
+		if (result.rules) {
+			logger.enableRules(file, result.rules);
+		}
+
+		if (result.verboseDetails) {
+			logger.verboseDetails[file] = result.verboseDetails;
+		}
+	}
+
+	_resolveArgs() {
+		var args;
+
+		if (this.flags.stdin) {
+			args = this._readStdin();
+		}
+		else if (this.flags.changedSince || this.flags.staged) {
+			args = this._getChangedFiles();
+		}
+		else {
+			args = this._globArgs(this._args).bind(this).then(this._expandDirectories);
+		}
+
+		return args;
+	}
+
+	// Files picked from git are relative to the root of the repository
+
+	_resolvePath(file) {
+		var root = this._root;
+
+		return root ? path.resolve(root, file) : file;
+	}
+
+	_saveBaseline() {
+		var baseline = this._baseline;
+
+		var retVal;
+
+		if (baseline && this.flags.writeBaseline) {
+			retVal = baseline.save().then(
+				() => {
+					this._log(util.format('Wrote baseline: %s', baseline.location));
+				},
+				err => {
+					this._log(File.handleFileWriteError(err, baseline.location));
+				}
+			);
+		}
+		else if (baseline) {
+			var fixedCount = baseline.getFixedCount();
+
+			if (fixedCount) {
+				this._log(colors.subtle(util.format('%d violation(s) in the baseline have since been fixed', fixedCount)));
+			}
+		}
+
+		return retVal;
+	}
+
+	_saveCache() {
+		var cache = this._cache;
+
+		var retVal;
+
+		if (cache) {
+			retVal = cache.save().error(
+				err => {
+					this._log(File.handleFileWriteError(err, cache.location));
+				}
+			);
+		}
+
+		return retVal;
+	}
+
+	// The first problem wins, so a later one doesn't hide what went wrong
+
+	_setExitCode(exitCode) {
+		if (!this._exitCode) {
+			this._exitCode = exitCode;
+		}
+	}
+
+	_start() {
+		this.emit('init');
+
+		this._notifyConfig();
+
+		return this._processFiles(this._args)
+				.bind(this)
+				.tap(this._saveCache)
+				.tap(this._saveBaseline)
+				.then(this.checkMeta)
+				.then(this.logSummary)
+				.then(this.createReport)
+				.then(this.afterFormat);
+	}
+
+	// Editors usually fire more than one event for a single save,
+	// so changes are only acted on once things settle down
+
+	_watch() {
+		var instance = this;
+
+		if (!instance.flags.watch || instance.flags.stdin) {
+			return;
+		}
+
+		var files = {};
+
+		instance._args.forEach(
+			(item, index) => {
+				files[path.resolve(instance._cwd, instance._resolvePath(item))] = item;
+			}
+		);
+
+		var dirs = _.uniq(_.keys(files).concat(_.keys(instance._configFiles)).map(path.dirname));
+
+		var onConfigChange = _.debounce(instance._reloadConfigs.bind(instance), instance.WATCH_DELAY);
+
+		var fileChanges = {};
+
+		instance._watchQueue = Promise.resolve();
+
+		instance._watchers = dirs.map(
+			item => instance._watchFs(
+				item,
+				(eventType, fileName) => {
+					var baseName = String(fileName);
+
+					var filePath = path.join(item, baseName);
+
+					if (instance._configFiles[filePath] || MAP_CONFIG_FILES[baseName]) {
+						onConfigChange();
+					}
+					else if (files[filePath]) {
+						if (!fileChanges[filePath]) {
+							fileChanges[filePath] = _.debounce(instance._recheckFiles.bind(instance, [files[filePath]]), instance.WATCH_DELAY);
+						}
+
+						fileChanges[filePath]();
+					}
+				}
+			)
+		);
+
+		instance._log(colors.subtle('Watching for changes...'));
+	}
+
+	// Unchanged contents aren't stored, so the cache doesn't
+	// end up holding a copy of every file that was checked
+
+	_updateCache(file, key, data, contents) {
+		var logger = this._logger;
+
+		this._cache.set(
+			this._getCachePath(file),
+			key,
+			{
+				contents: contents === data ? null : contents,
+				errors: logger.getErrors(file).map(item => _.omit(item, 'blame')),
+				rules: logger.getRules(file),
+				verboseDetails: logger.verboseDetails[file]
+			}
+		);
+	}
+}
+
+CLI.EXIT_OK = 0;
+CLI.EXIT_VIOLATIONS = 1;
+CLI.EXIT_ERROR = 2;
+CLI.EXIT_CONFIG_ERROR = 3;
+
+CLI.prototype._metaCheckerPath = './meta';
+
+CLI.prototype.WATCH_DELAY = 100;
 
 var cliInstance = new CLI();
 
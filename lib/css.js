@@ -3,6 +3,8 @@ var Promise = require('bluebird');
 
 var base = require('./base');
 
+var re = require('./re');
+
 var REGEX = require('./regex');
 
 var Formatter = require('content-formatter');
@@ -162,6 +164,8 @@ Formatter.CSS = Formatter.create(
 					context.lintConfig = _.merge(lint, this.config('css.lint'));
 
 					results = linter(contents, this.file, context);
+
+					this.enableRules(context.ruleIds);
 				}
 
 				return results;
@@ -190,7 +194,8 @@ Formatter.CSS = Formatter.create(
 							item.rule,
 							{
 								column: item.column,
-								ruleId: item.rule
+								ruleId: item.rule,
+								severity: re.getSeverity(item.severity)
 							}
 						);
 					}
@@ -25,7 +25,7 @@ module.exports = {
 
 	mixedSpaces: {
 		message: 'Mixed spaces and tabs: {1}',
-		regex: /^.*( \t|\t ).*$/,
+		regex: / \t|\t /,
 		replacer(result, rule, context) {
 			var rawContent = context.rawContent;
 
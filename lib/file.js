@@ -1,4 +1,5 @@
 var path = require('path');
+var Promise = require('bluebird');
 var util = require('util');
 
 var colors = require('cli-color-keywords')();
@@ -31,4 +32,16 @@ exports.handleFileWriteError = (err, file) => {
 	}
 
 	return util.format('%s: %s', colors.error(errMsg), file);
-};
\ No newline at end of file
+};
+
+exports.readStream = stream => new Promise(
+	(resolve, reject) => {
+		var chunks = [];
+
+		stream.setEncoding('utf-8');
+
+		stream.on('data', chunk => chunks.push(chunk));
+		stream.on('end', () => resolve(chunks.join('')));
+		stream.on('error', reject);
+	}
+);
\ No newline at end of file
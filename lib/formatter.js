@@ -16,11 +16,15 @@ var minimatch = require('minimatch');
 
 var configCache = {};
 
+Formatter.clearConfigCache = () => {
+	configCache = {};
+};
+
 Formatter.prototype.config = function(key) {
 	var abspath = this._abspath;
 
 	if (!abspath) {
-		abspath = path.resolve(this._config._paths.cwd, this.file);
+		abspath = path.resolve(this._config._paths.cwd || process.cwd(), this.file);
 
 		this._abspath = abspath;
 	}
@@ -63,6 +67,13 @@ Formatter.prototype.config = function(key) {
 	return configObj(key);
 };
 
+// Embedded CSS and JS log to the same file, so their rules
+// are added to the ones of the file they're in
+
+Formatter.prototype.enableRules = function(ruleIds) {
+	this.logger.enableRules(this.file, ruleIds);
+};
+
 Formatter.on(
 	'init',
 	instance => {
@@ -70,6 +81,9 @@ Formatter.on(
 
 		var ruleInstance = new re(RULES);
 
+		ruleInstance.enableRule = ruleId => instance.enableRules([ruleId]);
+		ruleInstance.getRulesConfig = () => instance.config('rules');
+
 		instance._re = ruleInstance;
 
 		instance.proxyEvent('message', ['re'], ruleInstance);
@@ -77,7 +91,17 @@ Formatter.on(
 		instance.on(
 			're:message',
 			data => {
-				instance.log(data.context.lineNum, data.message);
+				instance.log(
+					data.context.lineNum,
+					data.message,
+					data.ruleId,
+					{
+						column: data.column,
+						fixable: data.fixable,
+						ruleId: data.ruleId,
+						severity: data.severity
+					}
+				);
 			}
 		);
 	}
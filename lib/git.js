@@ -0,0 +1,216 @@
+var childProcess = require('child_process');
+var path = require('path');
+var Promise = require('bluebird');
+
+// The parts of each line's git blame that are kept, and what they're called
+
+var MAP_BLAME_KEYS = {
+	'author': 'author',
+	'author-mail': 'email',
+	'author-time': 'date'
+};
+
+var MAP_QUOTED_ESCAPES = {
+	'a': '\x07',
+	'b': '\b',
+	'f': '\f',
+	'n': '\n',
+	'r': '\r',
+	't': '\t',
+	'v': '\v'
+};
+
+var MAX_BUFFER = 1024 * 1024 * 50;
+
+var REGEX_BLAME_HEADER = /^([0-9a-f]{40}) \d+ (\d+)/;
+
+// git ends the path with a tab when it has spaces in it
+
+var REGEX_DIFF_FILE = /^\+\+\+ (.+?)\t?$/;
+
+var REGEX_DIFF_HUNK = /^@@ -\d+(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+
+var REGEX_QUOTED_ESCAPE = /\\([0-7]{3}|.)/g;
+
+// git C-quotes paths with unusual characters in them, escaping each
+// byte of a multibyte character in octal, eg. "caf\303\251.css"
+
+var unquotePath = file => {
+	if (file.length > 1 && file[0] === '"' && file[file.length - 1] === '"') {
+		var bytes = file.slice(1, -1).replace(
+			REGEX_QUOTED_ESCAPE,
+			(m, escape) => {
+				var retVal = MAP_QUOTED_ESCAPES[escape] || escape;
+
+				if (escape.length === 3) {
+					retVal = String.fromCharCode(parseInt(escape, 8));
+				}
+
+				return retVal;
+			}
+		);
+
+		file = Buffer.from(bytes, 'binary').toString('utf8');
+	}
+
+	return file;
+};
+
+exports.run = (args, cwd) => new Promise(
+	(resolve, reject) => {
+		childProcess.execFile(
+			'git',
+			args,
+			{
+				cwd,
+				maxBuffer: MAX_BUFFER
+			},
+			(err, stdout) => {
+				if (err) {
+					reject(err);
+				}
+				else {
+					resolve(stdout);
+				}
+			}
+		);
+	}
+);
+
+exports.getRoot = cwd => exports.run(['rev-parse', '--show-toplevel'], cwd).then(out => out.trim());
+
+// Only added, copied, modified and renamed files, since there's
+// nothing left to check in a deleted one
+
+exports.getChangedFiles = options => {
+	var args = ['diff', '--name-only', '-z', '--diff-filter=ACMR'];
+
+	if (options.staged) {
+		args.push('--cached');
+	}
+
+	if (options.ref) {
+		args.push(options.ref, '--');
+	}
+
+	return exports.run(args, options.cwd).then(
+		out => out.split('\0').filter(Boolean)
+	);
+};
+
+// Parses a unified diff into the ranges of lines that were added or
+// changed in each file, eg. {'foo.js': [[3, 5], [10, 10]]}. The lines
+// in each hunk are skipped, since an added "++ foo" line looks just
+// like the "+++ foo" header of the next file
+
+exports.parseDiff = diff => {
+	var changedLines = {};
+
+	var hunkLines = 0;
+	var ranges;
+
+	diff.split(/\r?\n/).forEach(
+		(item, index) => {
+			var fileMatch = item.match(REGEX_DIFF_FILE);
+			var hunkMatch = item.match(REGEX_DIFF_HUNK);
+
+			if (hunkLines) {
+				if (item.charAt(0) !== '\\') {
+					hunkLines--;
+				}
+			}
+			else if (fileMatch) {
+				var file = unquotePath(fileMatch[1]);
+
+				ranges = null;
+
+				if (file !== '/dev/null') {
+					ranges = [];
+
+					changedLines[file] = ranges;
+				}
+			}
+			else if (hunkMatch) {
+				var length = hunkMatch[3] === undefined ? 1 : Number(hunkMatch[3]);
+				var oldLength = hunkMatch[1] === undefined ? 1 : Number(hunkMatch[1]);
+				var start = Number(hunkMatch[2]);
+
+				hunkLines = oldLength + length;
+
+				if (length && ranges) {
+					ranges.push([start, start + length - 1]);
+				}
+			}
+		}
+	);
+
+	return changedLines;
+};
+
+exports.getChangedLines = options => {
+	var args = ['diff', '-U0', '--no-color', '--no-ext-diff', '--no-prefix'];
+
+	if (options.staged) {
+		args.push('--cached');
+	}
+
+	if (options.ref) {
+		args.push(options.ref, '--');
+	}
+
+	return exports.run(args, options.cwd).then(exports.parseDiff);
+};
+
+// Parses the output of git blame --line-porcelain into the author,
+// email, commit and date of each line, eg. {3: {author: 'Jane', ...}}
+
+exports.parseBlame = out => {
+	var blame = {};
+
+	var entry;
+
+	out.split(/\r?\n/).forEach(
+		(item, index) => {
+			var header = item.match(REGEX_BLAME_HEADER);
+
+			if (header) {
+				entry = {
+					commit: header[1]
+				};
+
+				blame[header[2]] = entry;
+			}
+			else if (entry && item.charAt(0) !== '\t') {
+				var separator = item.indexOf(' ');
+
+				var key = MAP_BLAME_KEYS[item.slice(0, separator)];
+				var value = item.slice(separator + 1);
+
+				if (key === 'date') {
+					value = new Date(Number(value) * 1000).toISOString();
+				}
+				else if (key === 'email') {
+					value = value.replace(/^<|>$/g, '');
+				}
+
+				if (key) {
+					entry[key] = value;
+				}
+			}
+		}
+	);
+
+	return blame;
+};
+
+// Run from the file's own directory, so it works wherever the
+// repository is. This only reads the local repository
+
+exports.getBlame = file => exports.run(
+	['blame', '--line-porcelain', '--', path.basename(file)],
+	path.dirname(file)
+).then(exports.parseBlame);
+
+exports.getUntrackedFiles = cwd => exports.run(['ls-files', '-z', '--others', '--exclude-standard', '--full-name'], cwd).then(
+	out => out.split('\0').filter(Boolean)
+);
\ No newline at end of file
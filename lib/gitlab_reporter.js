@@ -0,0 +1,62 @@
+'use strict';
+
+var _ = require('lodash');
+var crypto = require('crypto');
+
+var Reporter = require('./reporter');
+
+var DEFAULT_CHECK_NAME = 'csf';
+
+var DEFAULT_SEVERITY = 'major';
+
+var MAP_SEVERITY = {
+	error: 'major',
+	warning: 'minor'
+};
+
+var getHash = value => crypto.createHash('md5').update(value).digest('hex');
+
+// Fingerprints use the content of the line rather than its number,
+// so an issue keeps its fingerprint when code is added above it,
+// and GitLab doesn't report it as both fixed and new
+
+class GitLabReporter extends Reporter {
+	render(results) {
+		var issues = _.flatMap(
+			results,
+			(item, index) => {
+				var lines = this.getLines(item.file);
+				var path = this.getRelativePath(item.file);
+
+				var occurrences = {};
+
+				return item.messages.map(
+					(message, index) => {
+						var checkName = message.ruleId || DEFAULT_CHECK_NAME;
+
+						var key = [path, checkName, message.message, (lines[message.line - 1] || '').trim()].join('\0');
+
+						occurrences[key] = (occurrences[key] || 0) + 1;
+
+						return {
+							check_name: checkName,
+							description: message.message,
+							fingerprint: getHash(key + '\0' + occurrences[key]),
+							location: {
+								lines: {
+									begin: message.line || 1
+								},
+								path
+							},
+							severity: MAP_SEVERITY[message.severity] || DEFAULT_SEVERITY
+						};
+					}
+				);
+			}
+		);
+
+		return JSON.stringify(issues, null, '\t');
+	}
+}
+
+module.exports = GitLabReporter;
\ No newline at end of file
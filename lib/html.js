@@ -3,6 +3,7 @@ var _ = require('lodash');
 var base = require('./base');
 
 var REGEX = require('./regex');
+var timing = require('./timing');
 
 var Formatter = require('content-formatter');
 
@@ -31,6 +32,10 @@ var REGEX_JSP_SCRIPT_BLOCK = /<%.*?%>/gim;
 
 var REGEX_JSP_SCRIPTLET_BLOCK = /<%=[^>]+>/g;
 
+var SORT_ATTRIBUTES_ID = 'csf/html/sort-attributes';
+
+var SORT_ATTRIBUTE_VALUES_ID = 'csf/html/sort-attribute-values';
+
 Formatter.HTML = Formatter.create(
 	{
 		excludes: /[_.-](soy|min|nocsf)\.[^.]+$/,
@@ -123,6 +128,8 @@ Formatter.HTML = Formatter.create(
 			format(contents) {
 				var instance = this;
 
+				instance.enableRules(Formatter.HTML.RULE_IDS);
+
 				instance.parseCSS(contents);
 				instance.parseJs(contents);
 
@@ -206,7 +213,7 @@ Formatter.HTML = Formatter.create(
 			},
 
 			parseCSS(contents) {
-				var styleBlocks = this.extractCSS(contents);
+				var styleBlocks = timing.time('extractCSS', 'html', () => this.extractCSS(contents));
 
 				styleBlocks = this.sanitizeStyleBlocks(styleBlocks);
 				styleBlocks = this.formatCSS(styleBlocks);
@@ -215,7 +222,7 @@ Formatter.HTML = Formatter.create(
 			},
 
 			parseJs(contents) {
-				var scriptBlocks = this.extractJs(contents);
+				var scriptBlocks = timing.time('extractJs', 'html', () => this.extractJs(contents));
 
 				scriptBlocks = this.sanitizeScriptBlocks(scriptBlocks);
 				scriptBlocks = this.formatJs(scriptBlocks);
@@ -281,7 +288,7 @@ Formatter.HTML = Formatter.create(
 				return styleBlocks;
 			},
 
-			_attrCheckOrder(attrName, lastAttr, line, lineNum) {
+			_attrCheckOrder(attrName, lastAttr, line, lineNum, column) {
 				var needsSort = false;
 
 				if (lastAttr > attrName) {
@@ -294,7 +301,16 @@ Formatter.HTML = Formatter.create(
 					}
 
 					if (!note || note && this.flags.verbose) {
-						this.log(lineNum, sub('Sort attributes{2}: {0} {1}', lastAttr, attrName, note));
+						this.log(
+							lineNum,
+							sub('Sort attributes{2}: {0} {1}', lastAttr, attrName, note),
+							SORT_ATTRIBUTES_ID,
+							{
+								column,
+								fixable: !note,
+								ruleId: SORT_ATTRIBUTES_ID
+							}
+						);
 
 						needsSort = true;
 					}
@@ -313,6 +329,15 @@ Formatter.HTML = Formatter.create(
 				return value;
 			},
 
+			// The scriptlets and tags before an attribute were swapped for
+			// tokens, so they're put back to count the original column
+
+			_attrGetColumn(line, index, lineNum) {
+				var prefix = this._attrRestoreScriptlets(line.slice(0, index), lineNum);
+
+				return this._attrRestoreTags(prefix, lineNum).length + 1;
+			},
+
 			_attrGetMapEntry(lineNum) {
 				var attrMapEntry = this._attrMap[lineNum];
 
@@ -418,7 +443,7 @@ Formatter.HTML = Formatter.create(
 				return line;
 			},
 
-			_attrSortValues(attrName, attrValue, item, line, lineNum) {
+			_attrSortValues(attrName, attrValue, item, line, lineNum, column) {
 				var instance = this;
 
 				if (!MAP_IGNORE_ATTR_VALUES.hasOwnProperty(attrName)) {
@@ -452,7 +477,16 @@ Formatter.HTML = Formatter.create(
 									var tmpItem = instance._attrCleanTokens(item);
 									var tmpLastAttrPiece = instance._attrCleanTokens(lastAttrPiece);
 
-									instance.log(lineNum, sub('Sort attribute values: {0} {1}', tmpLastAttrPiece, tmpItem));
+									instance.log(
+										lineNum,
+										sub('Sort attribute values: {0} {1}', tmpLastAttrPiece, tmpItem),
+										SORT_ATTRIBUTE_VALUES_ID,
+										{
+											column,
+											fixable: true,
+											ruleId: SORT_ATTRIBUTE_VALUES_ID
+										}
+									);
 
 									sort = true;
 								}
@@ -699,6 +733,8 @@ Formatter.HTML = Formatter.create(
 						if (attrs) {
 							var lastAttr = -1;
 
+							var tagIndex = 0;
+
 							var trackSort = {};
 
 							attrs = attrs.map(
@@ -710,11 +746,20 @@ Formatter.HTML = Formatter.create(
 									var attrName = pieces[1];
 									var attrValue = pieces[3];
 
-									var needsSort = instance._attrCheckOrder(attrName, lastAttr, line, lineNum);
+									// Attributes are matched in order, so each one is
+									// looked for after the one before it
+
+									tagIndex = m.indexOf(item, tagIndex);
+
+									var column = instance._attrGetColumn(str, mi + tagIndex + item.indexOf(attrName), lineNum);
+
+									tagIndex += item.length;
+
+									var needsSort = instance._attrCheckOrder(attrName, lastAttr, line, lineNum, column);
 
 									trackSort[needsSort] = needsSort;
 
-									item = instance._attrSortValues(attrName, attrValue, item, line, lineNum);
+									item = instance._attrSortValues(attrName, attrValue, item, line, lineNum, column);
 
 									lastAttr = attrName;
 
@@ -766,4 +811,8 @@ Formatter.HTML = Formatter.create(
 	}
 );
 
+// The attribute checks aren't engine rules, but they have ids all the same
+
+Formatter.HTML.RULE_IDS = [SORT_ATTRIBUTE_VALUES_ID, SORT_ATTRIBUTES_ID];
+
 module.exports = Formatter.HTML;
\ No newline at end of file
@@ -0,0 +1,98 @@
+'use strict';
+
+var _ = require('lodash');
+var Handlebars = require('content-logger-handlebars-helpers')();
+var path = require('path');
+
+var base = require('./base');
+var Reporter = require('./reporter');
+
+var pkg = require('../package.json');
+
+var DEFAULT_RULE_ID = 'csf';
+
+// The report has room for more of the source than the console
+
+var EXCERPT_LINES = 2;
+
+var getCounts = results => (
+	{
+		errorCount: _.sumBy(results, 'errorCount'),
+		fileCount: results.length,
+		warningCount: _.sumBy(results, 'warningCount')
+	}
+);
+
+// The HTML formatter is lib/html.js, this reports the results as a
+// single page, with its styles and scripts inlined so it can be
+// opened or shared without anything else
+
+class HTMLReporter extends Reporter {
+	getContext(results) {
+		var files = results.filter(item => item.messages.length).map(
+			(item, index) => {
+				var lines = this.getLines(item.file);
+
+				return _.assign(
+					{
+						messages: item.messages.map(
+							(message, index) => _.assign(
+								{
+									excerpt: base.getExcerpt(lines, message.line, message.endLine, EXCERPT_LINES),
+									warning: message.severity === 'warning'
+								},
+								message
+							)
+						)
+					},
+					_.pick(item, ['errorCount', 'file', 'warningCount'])
+				);
+			}
+		);
+
+		var directories = _.map(
+			_.groupBy(results, item => path.dirname(this.getRelativePath(item.file))),
+			(items, directory) => _.assign(
+				{
+					directory
+				},
+				getCounts(items)
+			)
+		);
+
+		var rules = _.map(
+			_.groupBy(_.flatMap(results, 'messages'), item => item.ruleId || DEFAULT_RULE_ID),
+			(messages, ruleId) => {
+				var warningCount = _.filter(messages, ['severity', 'warning']).length;
+
+				return {
+					errorCount: messages.length - warningCount,
+					ruleId,
+					warningCount
+				};
+			}
+		);
+
+		return {
+			directories: _.sortBy(directories, 'directory'),
+			files,
+			rules: _.orderBy(rules, [item => item.errorCount + item.warningCount, 'ruleId'], ['desc', 'asc']),
+			summary: getCounts(results),
+			version: pkg.version
+		};
+	}
+
+	render(results) {
+		return this.read(this.TPL_PATH, 'utf-8').then(
+			tpl => {
+				var htmlTpl = Handlebars.compile(tpl);
+
+				return htmlTpl(this.getContext(results));
+			}
+		);
+	}
+}
+
+HTMLReporter.prototype.TPL_PATH = path.join(__dirname, 'tpl', 'html_report.tpl');
+
+module.exports = HTMLReporter;
\ No newline at end of file
@@ -2,6 +2,8 @@ var _ = require('lodash');
 
 var base = require('./base');
 
+var re = require('./re');
+
 var REGEX = require('./regex');
 
 var Formatter = require('content-formatter');
@@ -116,6 +118,8 @@ Formatter.JS = Formatter.create(
 
 					var lintResults = linter(contents, this.file, context);
 
+					this.enableRules(context.ruleIds);
+
 					var results = lintResults.results;
 
 					if (results.length) {
@@ -149,7 +153,9 @@ Formatter.JS = Formatter.create(
 							item.ruleId,
 							{
 								column: item.column,
-								ruleId: item.ruleId
+								fixable: !!item.fix,
+								ruleId: item.ruleId,
+								severity: re.getSeverity(item.severity)
 							}
 						);
 					}
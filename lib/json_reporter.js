@@ -0,0 +1,75 @@
+'use strict';
+
+var _ = require('lodash');
+
+var Reporter = require('./reporter');
+
+class JSONReporter extends Reporter {
+	render(results) {
+		if (this.flags.groupBy === 'author') {
+			results = this._groupByAuthor(results);
+		}
+
+		return JSON.stringify(results, null, '\t');
+	}
+
+	// Each author's violations, in the files they're in. Violations
+	// without a git blame (such as in untracked files) have no author
+
+	_groupByAuthor(results) {
+		var authors = {};
+
+		results.forEach(
+			(item, index) => {
+				item.messages.forEach(
+					(message, index) => {
+						var blame = message.blame || {};
+
+						var email = blame.email || null;
+
+						var author = authors[email] || {
+							author: blame.author || null,
+							email,
+							errorCount: 0,
+							files: {},
+							warningCount: 0
+						};
+
+						var messages = author.files[item.file] || [];
+
+						messages.push(message);
+
+						author.files[item.file] = messages;
+
+						author[message.severity === 'warning' ? 'warningCount' : 'errorCount']++;
+
+						authors[email] = author;
+					}
+				);
+			}
+		);
+
+		return _.orderBy(
+			_.values(authors),
+			[item => item.errorCount + item.warningCount, 'email'],
+			['desc', 'asc']
+		).map(
+			(item, index) => _.assign(
+				item,
+				{
+					files: _.map(
+						item.files,
+						(messages, file) => (
+							{
+								file,
+								messages
+							}
+						)
+					)
+				}
+			)
+		);
+	}
+}
+
+module.exports = JSONReporter;
\ No newline at end of file
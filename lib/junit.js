@@ -3,96 +3,121 @@
 var _ = require('lodash');
 var Handlebars = require('content-logger-handlebars-helpers')();
 var path = require('path');
-var Promise = require('bluebird');
 
-var fs = Promise.promisifyAll(require('fs'));
+var Reporter = require('./reporter');
 
-var Logger = require('./logger');
+var pkg = require('../package.json');
 
-class JUnitReporter {
-	constructor(config) {
-		this.flags = config.flags || {};
-		this.logger = config.logger || Logger;
-		this.read = config.read || fs.readFileAsync.bind(fs);
-		this.write = config.write || fs.writeFileAsync.bind(fs);
-	}
+var DEFAULT_TEST_NAME = 'csf';
+
+// JUnit times are in seconds
+
+var getTime = time => {
+	var retVal = null;
 
-	generate() {
-		return this.read(this.TPL_PATH, 'utf-8').then(this.onRead.bind(this));
+	if (_.isFinite(time)) {
+		retVal = (time / 1000).toFixed(3);
 	}
 
+	return retVal;
+};
+
+class JUnitReporter extends Reporter {
 	getContext() {
-		const flags = this.flags;
 		const logger = this.logger;
 
 		const fileErrors = logger.getErrors();
-		const testStats = logger.testStats;
+		const fileResults = _.keyBy(_.reject(this.files, 'err'), 'file');
 
-		const result = {
-			files: [],
-			showLintIds: flags['lint-ids'],
-			stats: testStats
-		};
+		const fileNames = _.union(_.keys(fileResults), _.keys(fileErrors));
 
-		_.forEach(
-			fileErrors,
-			(fileErrors, fileName) => {
-				const errors = [];
+		const files = fileNames.map(
+			fileName => {
+				const errors = fileErrors[fileName] || [];
+				const fileResult = fileResults[fileName] || {};
 
-				fileErrors = _.reject(
-					fileErrors,
-					{
-						type: 'ignored'
-					}
-				);
+				const ignored = _.find(errors, ['type', 'ignored']);
+				const violations = _.groupBy(_.reject(errors, ['type', 'ignored']), item => item.ruleId || item.type || DEFAULT_TEST_NAME);
+
+				const ruleIds = _.union(logger.getRules(fileName), _.keys(violations)).sort();
+
+				// Warnings are still reported, but they don't fail the test case
+
+				const testCases = ruleIds.map(
+					ruleId => {
+						const [warnings, failures] = _.partition(violations[ruleId], ['severity', 'warning']);
 
-				_.forEach(
-					_.groupBy(fileErrors, 'type'),
-					(violations, violationType) => {
-						errors.push(
-							{
-								failure: {
-									msg: violationType,
-									stack: violations
-								},
-								testName: violationType
-							}
-						);
+						return {
+							failure: failures.length ? {
+								stack: failures
+							} : null,
+							name: ruleId,
+							warnings: warnings.length ? {
+								stack: warnings
+							} : null
+						};
 					}
 				);
 
-				const fileResult = {
-					errors,
+				const properties = [
+					{
+						name: 'csf.version',
+						value: pkg.version
+					}
+				];
+
+				if (fileResult.configPath) {
+					properties.push(
+						{
+							name: 'csf.config',
+							value: fileResult.configPath
+						}
+					);
+				}
+
+				return {
 					file: fileName,
+					ignored,
+					properties,
 					stats: {
-						failures: fileErrors.length
-					}
+						failures: _.filter(testCases, 'failure').length,
+						tests: ignored ? 1 : testCases.length,
+						time: getTime(fileResult.time)
+					},
+					testCases
 				};
-
-				result.files.push(fileResult);
 			}
 		);
 
-		return result;
+		const times = _.filter(_.map(fileResults, 'time'), _.isFinite);
+
+		return {
+			files,
+			stats: {
+				failures: _.sumBy(files, 'stats.failures'),
+				tests: _.sumBy(files, 'stats.tests'),
+				time: times.length ? getTime(_.sum(times)) : null
+			}
+		};
 	}
 
+	// --junit always writes a file, while --format junit
+	// passes a null output path to write to stdout
+
 	getOutputPath() {
 		let outputPath = this.flags.junit;
 
 		if (!_.isString(outputPath)) {
-			outputPath = 'result.xml';
+			outputPath = _.isUndefined(this.outputPath) ? 'result.xml' : this.outputPath;
 		}
 
 		return outputPath;
 	}
 
-	onRead(result) {
-		const context = this.getContext();
-		const outputPath = this.getOutputPath();
-
-		const xml = this.renderTPL(result, context);
-
-		return this.write(outputPath, xml);
+	render(results) {
+		return this.read(this.TPL_PATH, 'utf-8').then(
+			tpl => this.renderTPL(tpl, this.getContext())
+		);
 	}
 
 	renderTPL(tpl, context) {
@@ -6,9 +6,38 @@ var stylelint = require('stylelint');
 var STYLELINT_CONFIG = require('./config/stylelint');
 
 var ruleUtils = require('./rule_utils');
+var timing = require('./timing');
 
 var customRules = {};
 
+// Each rule returns a function that checks the stylesheet, and that's
+// the part that's timed for --timing. Custom rules are merged in again
+// for every file, so they're wrapped again, but core rules aren't
+
+var timeRules = ruleIds => {
+	var rules = stylelint.rules;
+
+	ruleIds.forEach(
+		(item, index) => {
+			var rule = rules[item];
+
+			if (rule && !rule.timed) {
+				rules[item] = _.assign(
+					function(...args) {
+						var check = rule.apply(this, args);
+
+						return (root, result) => timing.time(item, 'stylelint', () => check(root, result));
+					},
+					rule,
+					{
+						timed: true
+					}
+				);
+			}
+		}
+	);
+};
+
 var runLinter = (contents, file, context) => {
 	var customRules = context.customRules || {};
 
@@ -24,6 +53,14 @@ var runLinter = (contents, file, context) => {
 
 	config = _.merge(...configs);
 
+	// stylelint turns rules off with null
+
+	context.ruleIds = _.keys(_.omitBy(config.rules, _.isNull));
+
+	if (timing.enabled) {
+		timeRules(context.ruleIds);
+	}
+
 	return stylelint.lint(
 		{
 			code: contents,
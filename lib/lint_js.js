@@ -5,7 +5,9 @@ var path = require('path');
 
 var SourceCodeFixer = require('eslint/lib/util/source-code-fixer');
 
+var re = require('./re');
 var ruleUtils = require('./rule_utils');
+var timing = require('./timing');
 
 var ESLINT_CONFIG = require('./config/eslint');
 
@@ -52,6 +54,38 @@ var loadPlugin = (pluginName, configPath) => {
 	return rules;
 };
 
+// The listeners each rule creates are timed for --timing. Custom
+// rules and plugins are defined again for every file, so they're
+// wrapped again, but core rules are only wrapped the first time
+
+var timeRules = ruleIds => {
+	var linter = eslint.linter;
+
+	var rules = linter.getRules();
+
+	ruleIds.forEach(
+		(item, index) => {
+			var rule = rules.get(item);
+
+			if (rule && !rule.timed) {
+				var create = _.isFunction(rule) ? rule : rule.create;
+
+				linter.defineRule(
+					item,
+					{
+						create: context => _.mapValues(
+							timing.time(item, 'eslint', () => create(context)),
+							listener => timing.wrap(item, 'eslint', listener)
+						),
+						meta: rule.meta,
+						timed: true
+					}
+				);
+			}
+		}
+	);
+};
+
 var runLinter = (contents, file, context) => {
 	var customRules = context.customRules || {};
 
@@ -93,6 +127,8 @@ var runLinter = (contents, file, context) => {
 
 	config = _.mergeWith(...configs);
 
+	context.ruleIds = _.keys(_.omitBy(config.rules, item => re.getSeverity(item) === 'off'));
+
 	if (config.plugins) {
 		var configPath = _.get(context, 'fileConfig._paths.obj.filepath');
 
@@ -107,6 +143,10 @@ var runLinter = (contents, file, context) => {
 		);
 	}
 
+	if (timing.enabled) {
+		timeRules(context.ruleIds);
+	}
+
 	var results = eslint.linter.verify(contents, config, file);
 
 	if (results.length) {
@@ -1,11 +1,122 @@
+var _ = require('lodash');
+var colors = require('cli-color-keywords')();
+var fs = require('fs');
+var Handlebars = require('content-logger-handlebars-helpers')();
 var Logger = require('content-logger');
+var path = require('path');
+
+var base = require('./base');
+var REGEX = require('./regex');
+
+// How much of the source around the violation a code frame has
+
+var CODE_FRAME_LINES = 1;
+
+// How violations can be grouped, and the name of the group each one is in
+
+var MAP_GROUP_NAMES = {
+	author: item => {
+		var blame = item.blame;
+
+		return blame ? `${blame.author} <${blame.email}>` : 'Unknown';
+	},
+	rule: item => item.ruleId || item.type
+};
+
+// The reported lines with one line of context around them, and a caret
+// under the column. The caret keeps the tabs of the line it points
+// at, so it lines up no matter how wide they're shown
+
+var getCodeFrame = (error, lines) => {
+	var errorLines = _.castArray(error.line);
+
+	var firstLine = errorLines[0];
+
+	var codeFrame = null;
+
+	var excerpt = base.getExcerpt(lines, firstLine, _.last(errorLines), CODE_FRAME_LINES);
+
+	if (excerpt) {
+		var width = String(_.last(excerpt).line).length;
+
+		codeFrame = excerpt.map(
+			(item, index) => {
+				var highlight = item.highlight;
+				var line = item.text;
+
+				var gutter = `${highlight ? '>' : ' '} ${_.padStart(item.line, width)} |`;
+
+				var frame = `    ${highlight ? gutter : colors.subtle(gutter)} ${line}`;
+
+				if (item.line === firstLine && error.column) {
+					var padding = line.slice(0, error.column - 1).replace(/[^\t]/g, ' ');
+
+					frame += `\n    ${colors.subtle(`  ${_.repeat(' ', width)} |`)} ${padding}${colors.error('^')}`;
+				}
+
+				return frame;
+			}
+		).join('\n');
+	}
+
+	return codeFrame;
+};
+
+var addCount = (counts, key, error) => {
+	var count = counts[key] || {
+		count: 0,
+		fixable: 0
+	};
+
+	count.count++;
+
+	if (error.fixable) {
+		count.fixable++;
+	}
+
+	counts[key] = count;
+};
+
+// The most common first, so the rules that dominate are at the top
+
+var getRows = counts => _.orderBy(
+	_.map(counts, (item, id) => _.assign({id}, item)),
+	['count', 'id'],
+	['desc', 'asc']
+);
+
+var getTable = (title, rows) => base.getTable(
+	[[title, 'Count', 'Fixable']].concat(
+		rows.map(item => [item.id, String(item.count), String(item.fixable)])
+	)
+);
+
+var getTestStats = errors => {
+	errors = _.reject(errors, ['type', 'ignored']);
+
+	var warnings = _.filter(errors, ['severity', 'warning']).length;
+
+	return {
+		errors: errors.length - warnings,
+		failures: errors.length,
+		warnings
+	};
+};
 
 var contentLogger = Logger.create(
 	{
 		prototype: {
 			init() {
+				this.TPL_PATH = path.join(__dirname, 'tpl', 'cli.tpl');
+
+				this.GROUPS_TPL_PATH = path.join(__dirname, 'tpl', 'cli_groups.tpl');
+
+				this.fileRules = {};
+
 				this.testStats = {
-					failures: 0
+					errors: 0,
+					failures: 0,
+					warnings: 0
 				};
 
 				this._errorStack = [];
@@ -14,12 +125,45 @@ var contentLogger = Logger.create(
 					'add',
 					function(error) {
 						if (error.type !== 'ignored') {
-							this.testStats.failures++;
+							_.defaults(
+								error,
+								{
+									severity: 'error'
+								}
+							);
+
+							// The template can't compare values, so warnings are flagged
+
+							if (error.severity === 'warning') {
+								error.warning = true;
+							}
+
+							this._updateTestStats(getTestStats([error]), 1);
 						}
 					}
 				);
 			},
 
+			clearFileErrors(file) {
+				this._updateTestStats(getTestStats(this.fileErrors[file]), -1);
+
+				delete this.fileErrors[file];
+				delete this.fileRules[file];
+				delete this.verboseDetails[file];
+			},
+
+			enableRules(file, ruleIds) {
+				var fileRules = this.fileRules[file] || {};
+
+				ruleIds.forEach(
+					(item, index) => {
+						fileRules[item] = true;
+					}
+				);
+
+				this.fileRules[file] = fileRules;
+			},
+
 			filterFileErrors(file, fn) {
 				var fileErrors;
 
@@ -33,7 +177,144 @@ var contentLogger = Logger.create(
 
 				this.fileErrors[file] = filteredErrors;
 
+				this._updateTestStats(getTestStats(errors), -1);
+				this._updateTestStats(getTestStats(filteredErrors), 1);
+
 				return fileErrors;
+			},
+
+			// The rules that ran on a file, whether or not they found anything
+
+			getRules(file) {
+				return _.keys(this.fileRules[file]).sort();
+			},
+
+			// Violation counts per rule id and per formatter, with how many
+			// of them can be fixed. types maps each file to its formatter id
+
+			getStats(types) {
+				types = types || {};
+
+				var rules = {};
+				var typeCounts = {};
+
+				_.forEach(
+					this.fileErrors,
+					(errors, file) => {
+						_.reject(errors, ['type', 'ignored']).forEach(
+							(item, index) => {
+								addCount(rules, item.ruleId || item.type, item);
+								addCount(typeCounts, types[file] || 'other', item);
+							}
+						);
+					}
+				);
+
+				rules = getRows(rules);
+
+				return {
+					rules,
+					total: {
+						count: _.sumBy(rules, 'count'),
+						fixable: _.sumBy(rules, 'fixable')
+					},
+					types: getRows(typeCounts)
+				};
+			},
+
+			// Pass the source of the file as config.source to show
+			// a code frame under each violation
+
+			render(file, config) {
+				var errors = this.getErrors(file);
+
+				var source = config && config.source;
+
+				if (source) {
+					var lines = source.split(REGEX.NEWLINE);
+
+					errors.forEach(
+						(item, index) => {
+							item.codeFrame = getCodeFrame(item, lines);
+						}
+					);
+				}
+
+				var out = Logger.prototype.render.call(this, file, config);
+
+				errors.forEach(
+					(item, index) => {
+						delete item.codeFrame;
+					}
+				);
+
+				return out;
+			},
+
+			// Every file's violations under the rule that reported them, or
+			// the author of their line, with the biggest groups first
+
+			renderGroups(groupBy, config) {
+				config = config || {};
+
+				var errors = _.flatMap(
+					this.fileErrors,
+					(errors, file) => errors.map(
+						(item, index) => _.assign(
+							{
+								file: this._getFilePath(file, config)
+							},
+							item
+						)
+					)
+				);
+
+				var groups = _.map(
+					_.groupBy(errors, MAP_GROUP_NAMES[groupBy]),
+					(errors, name) => (
+						{
+							errors: _.sortBy(errors, ['file', item => _.castArray(item.line)[0]]),
+							name
+						}
+					)
+				);
+
+				if (!this.GROUPS_TPL_FN) {
+					this.GROUPS_TPL_FN = Handlebars.compile(fs.readFileSync(this.GROUPS_TPL_PATH, 'utf-8'));
+				}
+
+				var out = this.GROUPS_TPL_FN(
+					{
+						groups: _.orderBy(groups, [item => item.errors.length, 'name'], ['desc', 'asc']),
+						label: _.capitalize(groupBy),
+						showColumns: config.showColumns
+					}
+				);
+
+				return out.trim() ? out : '';
+			},
+
+			renderStats(types) {
+				var stats = this.getStats(types);
+
+				var total = stats.total;
+
+				return [
+					getTable('Rule', stats.rules),
+					getTable('Type', stats.types),
+					`${total.count} violation(s), ${total.fixable} fixable`
+				].join('\n\n');
+			},
+
+			_updateTestStats(stats, sign) {
+				var testStats = this.testStats;
+
+				_.forEach(
+					stats,
+					(item, key) => {
+						testStats[key] += item * sign;
+					}
+				);
 			}
 		}
 	}
@@ -0,0 +1,122 @@
+var diff = require('diff');
+
+var colors = require('cli-color-keywords')();
+
+var REGEX_NEWLINE = /\r?\n/;
+
+var REGEX_SEPARATOR = /^=+\n/;
+
+// Uses the same a/ and b/ prefixes as git, so the output
+// can be applied with `git apply` or `patch -p1`
+
+exports.create = (file, data, contents) => {
+	var filePath = file.split('\\').join('/');
+
+	return diff.createTwoFilesPatch(`a/${filePath}`, `b/${filePath}`, data, contents).replace(REGEX_SEPARATOR, '');
+};
+
+exports.colorize = patch => patch.split(REGEX_NEWLINE).map(
+	(item, index) => {
+		var color;
+
+		if (item.indexOf('+++') === 0 || item.indexOf('---') === 0) {
+			color = colors.bold;
+		}
+		else if (item.indexOf('@@') === 0) {
+			color = colors.help;
+		}
+		else if (item.indexOf('+') === 0) {
+			color = colors.green;
+		}
+		else if (item.indexOf('-') === 0) {
+			color = colors.error;
+		}
+
+		return color ? color(item) : item;
+	}
+).join('\n');
+
+// Splits the contents into the parts that stay the same and the runs of
+// changed lines, so each change can be accepted or rejected on its own
+
+exports.getChanges = (data, contents) => {
+	var changes = [];
+
+	var change;
+	var line = 1;
+	var newLine = 1;
+
+	diff.diffLines(data, contents).forEach(
+		(item, index) => {
+			if (item.added || item.removed) {
+				if (!change) {
+					change = {
+						added: '',
+						changed: true,
+						line,
+						newLine,
+						oldLines: 0,
+						removed: ''
+					};
+
+					changes.push(change);
+				}
+
+				if (item.added) {
+					change.added += item.value;
+
+					newLine += item.count;
+				}
+				else {
+					change.oldLines += item.count;
+					change.removed += item.value;
+
+					line += item.count;
+				}
+			}
+			else {
+				change = null;
+
+				changes.push(
+					{
+						value: item.value
+					}
+				);
+
+				line += item.count;
+				newLine += item.count;
+			}
+		}
+	);
+
+	return changes;
+};
+
+exports.applyChanges = changes => changes.map(
+	(item, index) => {
+		var value = item.value;
+
+		if (item.changed) {
+			value = item.accepted ? item.added : item.removed;
+		}
+
+		return value;
+	}
+).join('');
+
+var getLines = (value, prefix) => value.split(REGEX_NEWLINE).filter(
+	(item, index, collection) => index < collection.length - 1 || item
+).map(item => prefix + item);
+
+exports.formatChange = change => {
+	var added = getLines(change.added, '+');
+	var removed = getLines(change.removed, '-');
+
+	var header = `@@ -${change.line},${removed.length} +${change.newLine},${added.length} @@`;
+
+	return [header].concat(removed, added).join('\n');
+};
+
+// Each run of changed lines counts as a single fix
+
+exports.getFixCount = (data, contents) => exports.getChanges(data, contents).filter(item => item.changed).length;
\ No newline at end of file
@@ -0,0 +1,65 @@
+var Promise = require('bluebird');
+var readline = require('readline');
+
+// Answers can arrive before they're asked for (eg. when they're piped
+// in), so they're queued up instead of using readline's question()
+
+exports.create = (input, output) => {
+	var answers = [];
+	var closed = false;
+	var pending = [];
+
+	var rl = readline.createInterface(
+		{
+			input,
+			output
+		}
+	);
+
+	rl.on(
+		'line',
+		line => {
+			if (pending.length) {
+				pending.shift()(line);
+			}
+			else {
+				answers.push(line);
+			}
+		}
+	);
+
+	// Running out of input is treated the same as quitting
+
+	rl.on(
+		'close',
+		() => {
+			closed = true;
+
+			pending.forEach(resolve => resolve('q'));
+		}
+	);
+
+	return {
+		ask(question) {
+			output.write(question);
+
+			return new Promise(
+				resolve => {
+					if (answers.length) {
+						resolve(answers.shift());
+					}
+					else if (closed) {
+						resolve('q');
+					}
+					else {
+						pending.push(resolve);
+					}
+				}
+			);
+		},
+
+		close() {
+			rl.close();
+		}
+	};
+};
\ No newline at end of file
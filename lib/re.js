@@ -3,9 +3,77 @@ var getObject = require('getobject');
 
 var REGEX = require('./regex');
 var RULES = require('./rules');
+var timing = require('./timing');
 
 var re = require('roolz');
 
+var MAP_SEVERITY = {
+	0: 'off',
+	1: 'warning',
+	2: 'error',
+	error: 'error',
+	off: 'off',
+	warn: 'warning',
+	warning: 'warning'
+};
+
+var SEVERITY_DEFAULT = 'error';
+
+re.EXTRA_NEW_LINES_ID = 'csf/common/extra-new-lines';
+
+// Accepts the same values ESLint does for a rule: "off", "warn", "error",
+// 0, 1, 2, or an array with the severity first
+
+re.getSeverity = value => MAP_SEVERITY[_.castArray(value)[0]] || SEVERITY_DEFAULT;
+
+// Formatters point this at their own config, so rules can be
+// turned off or have their severity changed per file
+
+re.prototype.getRulesConfig = () => null;
+
+// Called for every rule that runs, so reports can list the rules
+// a file passed as well as the ones it failed
+
+re.prototype.enableRule = _.noop;
+
+// The column of the first match, counted from the start of the raw
+// line, since most rules test the line without its indentation
+
+re.prototype.getColumn = function(result, rule, context, rules) {
+	var testProp = _.get(_.find([rule, rules], item => item && item.testProp && _.has(context, item.testProp)), 'testProp', 'content');
+
+	var content = context[testProp];
+
+	var column = null;
+
+	if (_.isString(content)) {
+		var index = -1;
+
+		if (_.isArray(result) && _.isFinite(result.index)) {
+			index = result.index;
+		}
+		else if (_.isRegExp(rule.regex)) {
+			index = content.search(rule.regex);
+		}
+
+		if (index > -1) {
+			var rawContent = context.rawContent;
+
+			var offset = testProp === 'content' && _.isString(rawContent) ? Math.max(rawContent.indexOf(content), 0) : 0;
+
+			column = offset + index + 1;
+		}
+	}
+
+	return column;
+};
+
+re.prototype.getRuleSeverity = function(ruleId) {
+	var rulesConfig = this.getRulesConfig();
+
+	return re.getSeverity(rulesConfig && rulesConfig[ruleId]);
+};
+
 re.prototype.hasExtraNewLines = function(item, index, collection) {
 	var extraNewLines = false;
 
@@ -15,7 +83,13 @@ re.prototype.hasExtraNewLines = function(item, index, collection) {
 		extraNewLines = (index === 0 && length > 1) || collection[index - 1] === '' || (index === length - 1 && length > 1);
 	}
 
-	if (extraNewLines) {
+	var severity = this.getRuleSeverity(re.EXTRA_NEW_LINES_ID);
+
+	if (severity !== 'off') {
+		this.enableRule(re.EXTRA_NEW_LINES_ID);
+	}
+
+	if (extraNewLines && severity !== 'off') {
 		this.emit(
 			'message',
 			{
@@ -24,7 +98,9 @@ re.prototype.hasExtraNewLines = function(item, index, collection) {
 					item,
 					lineNum: index + 1
 				},
-				message: 'Extra new line'
+				message: 'Extra new line',
+				ruleId: re.EXTRA_NEW_LINES_ID,
+				severity
 			}
 		);
 	}
@@ -40,4 +116,59 @@ re.prototype.hasHex = item => {
 
 re.prototype.hasProperty = item => REGEX.PROPERTY.test(item);
 
+// Same as roolz's iterateRules, except that rules that are turned off are
+// skipped (including their replacers), the message says which rule
+// it came from, and the time each rule takes is kept for --timing
+
+re.prototype.iterateRules = function(rules, context) {
+	var instance = this;
+
+	if (_.isString(rules)) {
+		rules = instance.getValue(instance.rules, rules);
+	}
+
+	var contentProp = instance._getContentProp(context);
+
+	var rawContent = context[contentProp];
+
+	if (instance.isValidRuleSet(rules, context)) {
+		_.forEach(
+			rules,
+			(rule, ruleName) => {
+				var severity = instance.getRuleSeverity(rule.id);
+
+				if (severity !== 'off') {
+					instance.enableRule(rule.id);
+				}
+
+				if (severity !== 'off' && instance.isValidRule(ruleName, rule, context)) {
+					var result = timing.time(rule.id, 'engine', () => instance.testContent(rule, context, rules));
+
+					if (result) {
+						var message = instance.getMessage(result, rule, context);
+
+						if (message) {
+							instance.emit(
+								'message',
+								{
+									column: instance.getColumn(result, rule, context, rules),
+									context,
+									fixable: !!rule.replacer,
+									message,
+									ruleId: rule.id,
+									severity
+								}
+							);
+						}
+
+						rawContent = timing.time(rule.id, 'engine', () => instance.replaceItem(result, rule, context));
+					}
+				}
+			}
+		);
+	}
+
+	return rawContent;
+};
+
 module.exports = re;
\ No newline at end of file
@@ -0,0 +1,116 @@
+'use strict';
+
+var _ = require('lodash');
+var path = require('path');
+var Promise = require('bluebird');
+
+var fs = Promise.promisifyAll(require('fs'));
+
+var Logger = require('./logger');
+var REGEX = require('./regex');
+
+var getEntry = item => {
+	var lines = _.castArray(item.line);
+
+	var line = _.isFinite(lines[0]) ? lines[0] : null;
+
+	var entry = {
+		column: item.column || null,
+		endLine: lines.length > 1 ? _.last(lines) : line,
+		fixable: !!item.fixable,
+		line,
+		message: item.msg,
+		ruleId: item.ruleId || null,
+		severity: item.severity || 'error'
+	};
+
+	// Only with --blame
+
+	if (item.blame) {
+		entry.blame = item.blame;
+	}
+
+	return entry;
+};
+
+// Every reporter gets the same structured entries for each file, so
+// most of them only need to turn those into a string in render().
+// The contents of each file, before and after formatting, are in files
+
+class Reporter {
+	constructor(config) {
+		config = config || {};
+
+		this.cwd = config.cwd || process.cwd();
+		this.files = config.files || [];
+		this.flags = config.flags || {};
+		this.logger = config.logger || Logger;
+		this.outputPath = config.outputPath;
+		this.read = config.read || fs.readFileAsync.bind(fs);
+		this.stdout = config.stdout || process.stdout;
+		this.write = config.write || fs.writeFileAsync.bind(fs);
+	}
+
+	// Without an output path, the report is written to stdout
+
+	generate() {
+		var outputPath = this.getOutputPath();
+
+		return Promise.resolve(this.render(this.getResults())).then(
+			output => {
+				var retVal;
+
+				if (outputPath) {
+					retVal = this.write(outputPath, output);
+				}
+				else {
+					retVal = this.stdout.write(output);
+				}
+
+				return retVal;
+			}
+		);
+	}
+
+	// The lines of a file as it was before formatting, if it could be read
+
+	getLines(file) {
+		var fileResult = _.find(this.files, ['file', file]);
+
+		return fileResult && !fileResult.err ? fileResult.data.split(REGEX.NEWLINE) : [];
+	}
+
+	getOutputPath() {
+		return this.outputPath;
+	}
+
+	// Paths relative to the current directory, with forward slashes
+
+	getRelativePath(file) {
+		return path.relative(this.cwd, path.resolve(this.cwd, file)).split(path.sep).join('/');
+	}
+
+	getResults() {
+		return _.map(
+			this.logger.getErrors(),
+			(errors, file) => {
+				var messages = _.sortBy(_.reject(errors, ['type', 'ignored']).map(getEntry), ['line', 'column']);
+
+				var warningCount = _.filter(messages, ['severity', 'warning']).length;
+
+				return {
+					errorCount: messages.length - warningCount,
+					file,
+					messages,
+					warningCount
+				};
+			}
+		);
+	}
+
+	render(results) {
+		return '';
+	}
+}
+
+module.exports = Reporter;
\ No newline at end of file
@@ -0,0 +1,71 @@
+var _ = require('lodash');
+var path = require('path');
+
+var Reporter = require('./reporter');
+
+var MAP_REPORTERS = {
+	checkstyle: './checkstyle_reporter',
+	gitlab: './gitlab_reporter',
+	html: './html_reporter',
+	json: './json_reporter',
+	junit: './junit',
+	sarif: './sarif_reporter'
+};
+
+var REGEX_RELATIVE_PATH = /^\.\.?[\\/]|\.js$/;
+
+// A custom reporter can either extend Reporter, or be a function
+// that gets the results and returns the report as a string
+
+var fromFunction = fn => class extends Reporter {
+	render(results) {
+		return fn(results, this.flags);
+	}
+};
+
+// Custom reporters are loaded from a path, or from an npm
+// package installed next to the files being checked. Before
+// Node 8.9, require.resolve doesn't take the paths to look in,
+// so the package has to be in the node_modules of the cwd
+
+var resolve = (name, cwd) => {
+	var reporterPath = MAP_REPORTERS[name];
+
+	if (!reporterPath) {
+		if (path.isAbsolute(name) || REGEX_RELATIVE_PATH.test(name)) {
+			reporterPath = path.resolve(cwd, name);
+		}
+		else if (require.resolve.paths) {
+			reporterPath = require.resolve(
+				name,
+				{
+					paths: [cwd]
+				}
+			);
+		}
+		else {
+			reporterPath = require.resolve(path.join(cwd, 'node_modules', name));
+		}
+	}
+
+	return reporterPath;
+};
+
+exports.get = (name, cwd) => {
+	var reporterPath;
+
+	try {
+		reporterPath = resolve(name, cwd || process.cwd());
+	}
+	catch (e) {
+		throw new Error(`Could not find the "${name}" reporter`);
+	}
+
+	var reporter = require(reporterPath);
+
+	if (!_.isFunction(reporter)) {
+		throw new Error(`The "${name}" reporter must export a function or a class`);
+	}
+
+	return reporter.prototype && _.isFunction(reporter.prototype.generate) ? reporter : fromFunction(reporter);
+};
\ No newline at end of file
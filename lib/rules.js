@@ -1,4 +1,6 @@
-module.exports = {
+var _ = require('lodash');
+
+var RULES = {
 	common: require('./engine_rules/common'),
 	css: require('./engine_rules/css'),
 
@@ -6,4 +8,31 @@ module.exports = {
 
 	htmlJS: require('./engine_rules/html_js'),
 	js: require('./engine_rules/js')
-};
\ No newline at end of file
+};
+
+// Gives every rule a stable id, such as csf/js/var-line-spacing, that can
+// be used to configure it. Nested rule sets (eg. css._properties) share
+// the prefix of the set they're in
+
+var setRuleIds = (rules, prefix) => {
+	_.forEach(
+		rules,
+		(item, index) => {
+			if (index === '_properties') {
+				setRuleIds(item, prefix);
+			}
+			else if (_.isPlainObject(item) && index.indexOf('_') !== 0) {
+				item.id = `${prefix}/${_.kebabCase(index)}`;
+			}
+		}
+	);
+};
+
+_.forEach(
+	RULES,
+	(item, index) => {
+		setRuleIds(item, `csf/${_.kebabCase(index)}`);
+	}
+);
+
+module.exports = RULES;
\ No newline at end of file
@@ -0,0 +1,262 @@
+'use strict';
+
+var _ = require('lodash');
+var glob = require('glob');
+var stylelint = require('stylelint');
+
+var HTML = require('./html');
+var patch = require('./patch');
+var re = require('./re');
+var Reporter = require('./reporter');
+var RULES = require('./rules');
+var ruleUtils = require('./rule_utils');
+var suppressions = require('./suppressions');
+
+var pkg = require('../package.json');
+
+var DEFAULT_RULE_ID = 'csf';
+
+var MAP_LEVEL = {
+	error: 'error',
+	warning: 'warning'
+};
+
+var REGEX_PLACEHOLDER = /:?\s*\{\w+\}/g;
+
+var SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+var SARIF_VERSION = '2.1.0';
+
+var globOptions = {
+	cwd: __dirname
+};
+
+var getCustomRuleIds = pattern => glob.sync(pattern, globOptions).map(ruleUtils.getRuleId);
+
+var getEngineRules = rules => _.flatMap(
+	rules,
+	(item, index) => {
+		var retVal = [];
+
+		if (_.isPlainObject(item)) {
+			retVal = item.id ? [item] : getEngineRules(item);
+		}
+
+		return retVal;
+	}
+);
+
+// Engine rules with a plain message can use it (without the
+// placeholders) as their description, the rest only have an id
+
+var getRules = () => {
+	var rules = getEngineRules(RULES).map(
+		(item, index) => (
+			{
+				description: _.isString(item.message) ? item.message.replace(REGEX_PLACEHOLDER, '') : item.id,
+				id: item.id
+			}
+		)
+	);
+
+	var ruleIds = [].concat(
+		getCustomRuleIds('./lint_js_rules/*.js'),
+		getCustomRuleIds('./lint_css_rules/*.js'),
+		_.keys(stylelint.rules),
+		HTML.RULE_IDS,
+		re.EXTRA_NEW_LINES_ID,
+		suppressions.UNUSED_DIRECTIVE_ID
+	);
+
+	return _.uniqBy(
+		rules.concat(
+			ruleIds.map(
+				(item, index) => (
+					{
+						description: item,
+						id: item
+					}
+				)
+			)
+		),
+		'id'
+	);
+};
+
+class SARIFReporter extends Reporter {
+	render(results) {
+		var rules = getRules();
+
+		var ruleIndexes = _.invert(_.map(rules, 'id'));
+
+		var sarifResults = [];
+
+		results.forEach(
+			(item, index) => {
+				var uri = this.getRelativePath(item.file);
+
+				var changes = this._getFileChanges(item.file);
+
+				item.messages.forEach(
+					(message, index) => {
+						var ruleId = message.ruleId || DEFAULT_RULE_ID;
+
+						if (!_.has(ruleIndexes, ruleId)) {
+							ruleIndexes[ruleId] = rules.length;
+
+							rules.push(
+								{
+									description: ruleId,
+									id: ruleId
+								}
+							);
+						}
+
+						sarifResults.push(
+							_.omitBy(
+								{
+									fixes: message.fixable ? this._getFixes(message, changes, uri) : undefined,
+									level: MAP_LEVEL[message.severity] || 'error',
+									locations: [
+										{
+											physicalLocation: _.omitBy(
+												{
+													artifactLocation: {
+														uri
+													},
+													region: this._getRegion(message)
+												},
+												_.isUndefined
+											)
+										}
+									],
+									message: {
+										text: message.message
+									},
+									ruleId,
+									ruleIndex: Number(ruleIndexes[ruleId])
+								},
+								_.isUndefined
+							)
+						);
+					}
+				);
+			}
+		);
+
+		return JSON.stringify(
+			{
+				$schema: SARIF_SCHEMA,
+				runs: [
+					{
+						results: sarifResults,
+						tool: {
+							driver: {
+								informationUri: pkg.repository.url,
+								name: pkg.name,
+								rules: rules.map(
+									(item, index) => (
+										{
+											id: item.id,
+											shortDescription: {
+												text: item.description
+											}
+										}
+									)
+								),
+								version: pkg.version
+							}
+						}
+					}
+				],
+				version: SARIF_VERSION
+			},
+			null,
+			'\t'
+		);
+	}
+
+	// Each run of lines that the inline edit changes is a fix for the
+	// violations on those lines. The regions are character based, so
+	// whole lines can be replaced, removed or inserted
+
+	_getFileChanges(file) {
+		var fileResult = _.find(this.files, ['file', file]);
+
+		var changes = [];
+
+		if (fileResult && !fileResult.err && fileResult.contents !== fileResult.data) {
+			var charOffset = 0;
+
+			patch.getChanges(fileResult.data, fileResult.contents).forEach(
+				(item, index) => {
+					var length = (item.changed ? item.removed : item.value).length;
+
+					if (item.changed) {
+						changes.push(
+							{
+								charLength: length,
+								charOffset,
+								endLine: item.line + Math.max(item.oldLines, 1) - 1,
+								line: item.line,
+								text: item.added
+							}
+						);
+					}
+
+					charOffset += length;
+				}
+			);
+		}
+
+		return changes;
+	}
+
+	_getFixes(message, changes, uri) {
+		var fixes = changes.filter(item => message.line >= item.line && message.line <= item.endLine).map(
+			(item, index) => (
+				{
+					artifactChanges: [
+						{
+							artifactLocation: {
+								uri
+							},
+							replacements: [
+								{
+									deletedRegion: {
+										charLength: item.charLength,
+										charOffset: item.charOffset
+									},
+									insertedContent: {
+										text: item.text
+									}
+								}
+							]
+						}
+					]
+				}
+			)
+		);
+
+		return fixes.length ? fixes : undefined;
+	}
+
+	_getRegion(message) {
+		var region;
+
+		if (message.line) {
+			region = _.omitBy(
+				{
+					endLine: message.endLine,
+					startColumn: message.column,
+					startLine: message.line
+				},
+				_.isNull
+			);
+		}
+
+		return region;
+	}
+}
+
+module.exports = SARIFReporter;
\ No newline at end of file
@@ -0,0 +1,142 @@
+var _ = require('lodash');
+
+var REGEX = require('./regex');
+
+// Matches directives in JS and CSS comments, as well as HTML and JSP ones, eg.
+// "// csf-disable-line foo", "/* csf-disable */" or "<%-- csf-enable foo, bar --%>"
+
+var REGEX_DIRECTIVE = /(?:\/\/|\/\*|<!--|<%--)\s*csf-(disable-next-line|disable-line|disable|enable)\b(.*?)(?:\*\/|--%>|-->|$)/g;
+
+var REGEX_RULE_SEPARATOR = /[\s,]+/;
+
+exports.UNUSED_DIRECTIVE_ID = 'csf/unused-disable-directive';
+
+var getLine = error => _.castArray(error.line)[0];
+
+var hasRule = (directive, error) => !directive.ruleIds.length || _.includes(directive.ruleIds, error.ruleId);
+
+// Line directives win over ranges, and a range is only closed
+// by a later csf-enable that covers the same rule
+
+var getSuppression = (error, directives) => {
+	var line = getLine(error);
+
+	var suppression = null;
+
+	if (_.isFinite(line) && error.type !== 'ignored') {
+		suppression = _.find(directives, item => item.target === line && hasRule(item, error));
+
+		if (!suppression) {
+			directives.forEach(
+				(item, index) => {
+					if (!item.target && item.line <= line && hasRule(item, error)) {
+						suppression = item.type === 'disable' ? suppression || item : null;
+					}
+				}
+			);
+		}
+	}
+
+	return suppression;
+};
+
+exports.parse = contents => {
+	var directives = [];
+
+	contents.split(REGEX.NEWLINE).forEach(
+		(item, index) => {
+			var line = index + 1;
+
+			var match;
+
+			REGEX_DIRECTIVE.lastIndex = 0;
+
+			while ((match = REGEX_DIRECTIVE.exec(item))) {
+				var type = match[1];
+
+				var target;
+
+				if (type === 'disable-line') {
+					target = line;
+				}
+				else if (type === 'disable-next-line') {
+					target = line + 1;
+				}
+
+				directives.push(
+					{
+						line,
+						ruleIds: match[2].trim().split(REGEX_RULE_SEPARATOR).filter(Boolean),
+						target,
+						type,
+						used: false
+					}
+				);
+			}
+		}
+	);
+
+	return directives;
+};
+
+// Marks each directive that ends up hiding an error as used
+
+exports.filter = (errors, directives) => errors.filter(
+	(item, index) => {
+		var suppression = getSuppression(item, directives);
+
+		if (suppression) {
+			suppression.used = true;
+		}
+
+		return !suppression;
+	}
+);
+
+// The lines whose fixes should be left out: the lines of suppressed
+// errors, and every line a directive for all rules covers (since fixes
+// from rules that don't report anything can't be matched to a rule)
+
+exports.getSuppressedLines = (errors, directives, lineCount) => {
+	var lines = {};
+
+	errors.forEach(
+		(item, index) => {
+			if (getSuppression(item, directives)) {
+				var errorLines = _.castArray(item.line);
+
+				_.range(errorLines[0], _.last(errorLines) + 1).forEach(
+					line => {
+						lines[line] = true;
+					}
+				);
+			}
+		}
+	);
+
+	_.range(1, lineCount + 1).forEach(
+		(item, index) => {
+			var error = {
+				line: item,
+				ruleId: null
+			};
+
+			if (getSuppression(error, directives)) {
+				lines[item] = true;
+			}
+		}
+	);
+
+	return lines;
+};
+
+exports.getUnused = directives => directives.filter(item => !item.used && item.type !== 'enable').map(
+	(item, index) => {
+		var rules = item.ruleIds.length ? ` from ${item.ruleIds.join(', ')}` : '';
+
+		return {
+			line: item.line,
+			msg: `Unused csf-${item.type} directive (no problems were reported${rules})`
+		};
+	}
+);
\ No newline at end of file
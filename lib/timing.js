@@ -0,0 +1,83 @@
+var _ = require('lodash');
+
+var base = require('./base');
+
+// How many of the slowest rules are shown at the end of the run
+
+var TIMING_LIMIT = 10;
+
+var timings = {};
+
+var getTime = start => {
+	var diff = process.hrtime(start);
+
+	return diff[0] * 1e3 + diff[1] / 1e6;
+};
+
+// Nothing is timed until the CLI turns this on for --timing
+
+exports.enabled = false;
+
+exports.add = (id, type, time) => {
+	var timing = timings[id] || {
+		id,
+		time: 0,
+		type
+	};
+
+	timing.time += time;
+
+	timings[id] = timing;
+};
+
+exports.getTimings = () => _.orderBy(_.values(timings), ['time', 'id'], ['desc', 'asc']);
+
+exports.render = () => {
+	var rows = exports.getTimings();
+
+	var total = _.sumBy(rows, 'time');
+
+	return base.getTable(
+		[['Rule', 'Type', 'Time (ms)', 'Relative']].concat(
+			_.take(rows, TIMING_LIMIT).map(
+				(item, index) => [
+					item.id,
+					item.type,
+					item.time.toFixed(3),
+					`${(total ? item.time * 100 / total : 0).toFixed(1)}%`
+				]
+			)
+		),
+		2
+	);
+};
+
+exports.reset = () => {
+	timings = {};
+};
+
+// Calls fn, adding the time it took to id (the rule id, or the step)
+
+exports.time = (id, type, fn) => {
+	var retVal;
+
+	if (exports.enabled) {
+		var start = process.hrtime();
+
+		try {
+			retVal = fn();
+		}
+		finally {
+			exports.add(id, type, getTime(start));
+		}
+	}
+	else {
+		retVal = fn();
+	}
+
+	return retVal;
+};
+
+exports.wrap = (id, type, fn) => function(...args) {
+	return exports.time(id, type, () => fn.apply(this, args));
+};
\ No newline at end of file
@@ -0,0 +1,10 @@
+<?xml version="1.0" encoding="UTF-8" ?>
+<checkstyle version="4.3">
+	{{#files}}
+		<file name="{{file}}">
+			{{#messages}}
+				<error{{#if this.line}} line="{{this.line}}"{{/if}}{{#if column}} column="{{column}}"{{/if}} severity="{{severity}}" message="{{message}}"{{#if ruleId}} source="{{ruleId}}"{{/if}} />
+			{{/messages}}
+		</file>
+	{{/files}}
+</checkstyle>
\ No newline at end of file
@@ -0,0 +1,12 @@
+{{#banner}}{{#bgBlack}}File:{{/bgBlack}} {{#underline}}{{{file}}}{{/underline}}{{/banner}}
+{{#errors}}
+    {{#if warning}}{{#yellow}}{{line}}: {{{msg}}}{{#and @root.showLintIds ruleId}} ({{ruleId}}){{/and}}{{/yellow}} {{#grey}}(warning){{/grey}}{{else}}{{#color}}{{line}}: {{{msg}}}{{#and @root.showLintIds ruleId}} ({{ruleId}}){{/and}}{{/color}}{{/if}}{{#if blame}} {{#grey}}({{blame.author}}){{/grey}}{{/if}}
+{{#if codeFrame}}
+{{{codeFrame}}}
+{{/if}}
+{{else}}
+    {{#if @root.showBanner}}
+    	No errors
+    {{/if}}
+{{/errors}}
+{{#banner}}{{#subtle}}----{{/subtle}}{{/banner}}
\ No newline at end of file
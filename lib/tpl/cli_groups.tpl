@@ -0,0 +1,7 @@
+{{#groups}}
+{{#bgBlack}}{{@root.label}}:{{/bgBlack}} {{#underline}}{{{name}}}{{/underline}}
+{{#errors}}
+    {{#if warning}}{{#yellow}}{{{file}}} {{line}}: {{{msg}}}{{/yellow}} {{#grey}}(warning){{/grey}}{{else}}{{#color}}{{{file}}} {{line}}: {{{msg}}}{{/color}}{{/if}}
+{{/errors}}
+{{#grey}}----{{/grey}}
+{{/groups}}
\ No newline at end of file
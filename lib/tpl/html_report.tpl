@@ -0,0 +1,194 @@
+<!DOCTYPE html>
+<html lang="en">
+<head>
+	<meta charset="UTF-8">
+	<title>check-source-formatting report</title>
+	<style>
+		body {
+			color: #222;
+			font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif;
+			margin: 2em;
+		}
+
+		h1 small {
+			color: #888;
+			font-weight: normal;
+		}
+
+		table {
+			border-collapse: collapse;
+			margin-bottom: 2em;
+		}
+
+		th, td {
+			border-bottom: 1px solid #DDD;
+			padding: 0.3em 1em;
+			text-align: left;
+		}
+
+		th[data-sort] {
+			cursor: pointer;
+		}
+
+		th[data-sort]:after {
+			color: #AAA;
+			content: " \2195";
+		}
+
+		td.count {
+			text-align: right;
+		}
+
+		.error {
+			color: #C00;
+		}
+
+		.warning {
+			color: #B70;
+		}
+
+		.file {
+			margin-bottom: 2em;
+		}
+
+		.message {
+			margin: 1em 0 0.3em;
+		}
+
+		.rule {
+			color: #888;
+		}
+
+		pre {
+			background: #F6F6F6;
+			margin: 0;
+			overflow-x: auto;
+			padding: 0.5em 0;
+		}
+
+		pre span {
+			display: block;
+			padding: 0 1em;
+		}
+
+		pre span.highlight {
+			background: #FFE4E4;
+		}
+
+		pre b {
+			color: #AAA;
+			display: inline-block;
+			font-weight: normal;
+			margin-right: 1em;
+			text-align: right;
+			width: 3em;
+		}
+	</style>
+</head>
+<body>
+	<h1>check-source-formatting report <small>v{{version}}</small></h1>
+
+	<p>
+		{{summary.fileCount}} file(s) checked,
+		<span class="error">{{summary.errorCount}} error(s)</span>,
+		<span class="warning">{{summary.warningCount}} warning(s)</span>
+	</p>
+
+	<h2>Directories</h2>
+
+	<table class="sortable">
+		<thead>
+			<tr>
+				<th data-sort="text">Directory</th>
+				<th data-sort="number">Files</th>
+				<th data-sort="number">Errors</th>
+				<th data-sort="number">Warnings</th>
+			</tr>
+		</thead>
+		<tbody>
+			{{#directories}}
+				<tr>
+					<td>{{directory}}</td>
+					<td class="count">{{fileCount}}</td>
+					<td class="count">{{errorCount}}</td>
+					<td class="count">{{warningCount}}</td>
+				</tr>
+			{{/directories}}
+		</tbody>
+	</table>
+
+	<h2>Rules</h2>
+
+	<table class="sortable">
+		<thead>
+			<tr>
+				<th data-sort="text">Rule</th>
+				<th data-sort="number">Errors</th>
+				<th data-sort="number">Warnings</th>
+			</tr>
+		</thead>
+		<tbody>
+			{{#rules}}
+				<tr>
+					<td>{{ruleId}}</td>
+					<td class="count">{{errorCount}}</td>
+					<td class="count">{{warningCount}}</td>
+				</tr>
+			{{/rules}}
+		</tbody>
+	</table>
+
+	<h2>Files</h2>
+
+	{{#files}}
+		<div class="file">
+			<h3>{{file}} <small><span class="error">{{errorCount}}</span> / <span class="warning">{{warningCount}}</span></small></h3>
+
+			{{#messages}}
+				<div class="message {{severity}}">
+					{{#if this.line}}Line {{this.line}}{{#if column}}, Column {{column}}{{/if}}: {{/if}}{{message}}
+					{{#if ruleId}}<span class="rule">({{ruleId}})</span>{{/if}}
+				</div>
+				{{#if excerpt}}
+					<pre>{{#excerpt}}<span{{#if highlight}} class="highlight"{{/if}}><b>{{this.line}}</b>{{text}}</span>{{/excerpt}}</pre>
+				{{/if}}
+			{{/messages}}
+		</div>
+	{{/files}}
+
+	<script>
+		[].forEach.call(
+			document.querySelectorAll('table.sortable th[data-sort]'),
+			function(th) {
+				th.addEventListener(
+					'click',
+					function() {
+						var index = [].indexOf.call(th.parentNode.children, th);
+						var numeric = th.getAttribute('data-sort') === 'number';
+						var tbody = th.closest('table').querySelector('tbody');
+
+						var direction = th.getAttribute('data-direction') === 'asc' ? -1 : 1;
+
+						th.setAttribute('data-direction', direction === 1 ? 'asc' : 'desc');
+
+						var rows = [].slice.call(tbody.rows).sort(
+							function(a, b) {
+								var left = a.cells[index].textContent;
+								var right = b.cells[index].textContent;
+
+								return direction * (numeric ? left - right : left.localeCompare(right));
+							}
+						);
+
+						rows.forEach(
+							function(row) {
+								tbody.appendChild(row);
+							}
+						);
+					}
+				);
+			}
+		);
+	</script>
+</body>
+</html>
\ No newline at end of file
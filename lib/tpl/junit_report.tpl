@@ -1,19 +1,37 @@
 <?xml version="1.0" encoding="UTF-8" ?>
-<testsuites failures="{{stats.failures}}" name="">
+<testsuites failures="{{stats.failures}}" name="" tests="{{stats.tests}}"{{#if stats.time}} time="{{stats.time}}"{{/if}}>
 	{{#files}}
-		<testsuite failures="{{stats.failures}}" name="{{file}}" tests="1">
-			{{#errors}}
-				<testcase name="{{testName}}">
+		<testsuite failures="{{stats.failures}}" name="{{file}}"{{#if ignored}} skipped="1"{{/if}} tests="{{stats.tests}}"{{#if stats.time}} time="{{stats.time}}"{{/if}}>
+			<properties>
+				{{#properties}}
+					<property name="{{name}}" value="{{value}}" />
+				{{/properties}}
+			</properties>
+			{{#if ignored}}
+				<testcase classname="{{file}}" name="{{file}}">
+					<skipped>{{ignored.msg}}</skipped>
+				</testcase>
+			{{/if}}
+			{{#testCases}}
+				<testcase classname="{{../file}}" name="{{name}}">
 					{{#failure}}
-						<failure message="{{violationType}}" type="failure"><![CDATA[
+						<failure message="{{#with stack.[0]}}{{line}}: {{msg}}{{/with}}" type="failure"><![CDATA[
 							{{~#stack~}}
-								{{line}}: {{{msg}}}{{#and @root.showLintIds ruleId}} ({{ruleId}}){{/and}}{{#unless @last}}
+								{{line}}: {{{msg}}}{{#unless @last}}
 {{/unless}}
 							{{~/stack~}}
 						]]></failure>
 					{{/failure}}
+					{{#warnings}}
+						<system-out><![CDATA[
+							{{~#stack~}}
+								{{line}}: Warning: {{{msg}}}{{#unless @last}}
+{{/unless}}
+							{{~/stack~}}
+						]]></system-out>
+					{{/warnings}}
 				</testcase>
-			{{/errors}}
+			{{/testCases}}
 		</testsuite>
 	{{/files}}
 </testsuites>
\ No newline at end of file
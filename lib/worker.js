@@ -0,0 +1,117 @@
+'use strict';
+
+var _ = require('lodash');
+var Promise = require('bluebird');
+
+var Cache = require('./cache');
+var CLI = require('./cli').CLI;
+var Config = require('./config');
+var Logger = require('./logger');
+var timing = require('./timing');
+
+// The worker only formats the file. Rendering (and git blame) is left to
+// the parent process, so the output stays in the same order the files
+// were passed in
+
+class WorkerCLI extends CLI {
+	logResults() {
+	}
+
+	renderOutput() {
+	}
+
+	_applyBlame() {
+		return Promise.resolve();
+	}
+}
+
+var processFile = options => {
+	var file = options.file;
+
+	var logger = new Logger.constructor();
+
+	// Only the time spent on this file is sent back, and added
+	// to the rest in the parent process
+
+	timing.reset();
+
+	var cliInstance = new WorkerCLI(
+		{
+			args: [file],
+			cwd: options.cwd,
+			flags: options.flags,
+			log: _.noop,
+			logger
+		}
+	);
+
+	cliInstance._config = new Config.Loader(
+		{
+			cwd: options.cwd
+		}
+	);
+
+	cliInstance._root = options.root;
+
+	// The parent process owns the cache, so only the entry for
+	// this file is passed back and forth
+
+	var cachePath = cliInstance._getCachePath(file);
+
+	if (options.flags.cache) {
+		var entries = {};
+
+		if (options.cacheEntry) {
+			entries[cachePath] = options.cacheEntry;
+		}
+
+		cliInstance._cache = new Cache(
+			{
+				entries
+			}
+		);
+	}
+
+	return cliInstance._loadConfigs().then(
+		configs => {
+			cliInstance._configs = configs;
+
+			return cliInstance.processFile(file);
+		}
+	).then(
+		result => (
+			{
+				cacheEntry: cliInstance._cache && cliInstance._cache.entries[cachePath],
+				errors: logger.getErrors(file),
+				result,
+				rules: logger.getRules(file),
+				timings: timing.getTimings(),
+				verboseDetails: logger.verboseDetails[file]
+			}
+		)
+	);
+};
+
+process.on(
+	'message',
+	message => {
+		processFile(message.options).then(
+			result => {
+				process.send(
+					{
+						id: message.id,
+						result
+					}
+				);
+			},
+			err => {
+				process.send(
+					{
+						error: err.stack,
+						id: message.id
+					}
+				);
+			}
+		);
+	}
+);
\ No newline at end of file
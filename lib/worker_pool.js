@@ -0,0 +1,136 @@
+'use strict';
+
+var _ = require('lodash');
+var childProcess = require('child_process');
+var path = require('path');
+var Promise = require('bluebird');
+
+class WorkerPool {
+	constructor(config) {
+		config = config || {};
+
+		this.size = config.size || 1;
+
+		this._args = config.args || process.argv.slice(2);
+		this._fork = config.fork || childProcess.fork;
+		this._workerPath = config.workerPath || this.WORKER_PATH;
+
+		this._id = 0;
+		this._idle = [];
+		this._queue = [];
+		this._tasks = {};
+		this._workers = [];
+	}
+
+	end() {
+		this._workers.forEach(
+			(item, index) => {
+				item.removeAllListeners('exit');
+
+				item.disconnect();
+			}
+		);
+
+		this._idle = [];
+		this._workers = [];
+	}
+
+	run(options) {
+		var instance = this;
+
+		return new Promise(
+			(resolve, reject) => {
+				instance._queue.push(
+					{
+						id: instance._id++,
+						options,
+						reject,
+						resolve
+					}
+				);
+
+				instance._next();
+			}
+		);
+	}
+
+	_createWorker() {
+		var instance = this;
+
+		var worker = instance._fork(instance._workerPath, instance._args);
+
+		worker.on('message', _.bindKey(instance, '_onMessage', worker));
+		worker.on('exit', _.bindKey(instance, '_onExit', worker));
+
+		instance._workers.push(worker);
+
+		return worker;
+	}
+
+	_getWorker() {
+		var worker = this._idle.pop();
+
+		if (!worker && this._workers.length < this.size) {
+			worker = this._createWorker();
+		}
+
+		return worker;
+	}
+
+	_next() {
+		var worker;
+
+		while (this._queue.length && (worker = this._getWorker())) {
+			var task = this._queue.shift();
+
+			this._tasks[task.id] = task;
+
+			worker.taskId = task.id;
+
+			worker.send(
+				{
+					id: task.id,
+					options: task.options
+				}
+			);
+		}
+	}
+
+	_onExit(worker, code) {
+		var task = this._tasks[worker.taskId];
+
+		_.pull(this._workers, worker);
+		_.pull(this._idle, worker);
+
+		if (task) {
+			delete this._tasks[task.id];
+
+			task.reject(new Error(`Worker process exited unexpectedly with code ${code}`));
+		}
+
+		this._next();
+	}
+
+	_onMessage(worker, message) {
+		var task = this._tasks[message.id];
+
+		delete this._tasks[message.id];
+
+		worker.taskId = null;
+
+		this._idle.push(worker);
+
+		if (message.error) {
+			task.reject(new Error(message.error));
+		}
+		else {
+			task.resolve(message.result);
+		}
+
+		this._next();
+	}
+}
+
+WorkerPool.prototype.WORKER_PATH = path.join(__dirname, 'worker.js');
+
+module.exports = WorkerPool;
\ No newline at end of file
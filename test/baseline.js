@@ -0,0 +1,165 @@
+var chai = require('chai');
+var path = require('path');
+var Promise = require('bluebird');
+var sinon = require('sinon');
+
+var Baseline = require('../lib/baseline');
+
+chai.use(require('chai-string'));
+
+var assert = chai.assert;
+
+describe(
+	'Baseline',
+	function() {
+		'use strict';
+
+		var location = path.join(__dirname, 'csf-baseline.json');
+
+		var filePath = path.join(__dirname, 'foo.js');
+
+		var data = 'var x = 1;\nvar y = 2;\nvar y = 2;\n';
+
+		var errors = [
+			{
+				line: 1,
+				msg: 'Has error',
+				ruleId: 'foo',
+				type: 'foo'
+			},
+			{
+				line: 2,
+				msg: 'Has error',
+				ruleId: 'foo',
+				type: 'foo'
+			},
+			{
+				line: 3,
+				msg: 'Has error',
+				ruleId: 'foo',
+				type: 'foo'
+			},
+			{
+				line: 'N/A',
+				msg: 'This file was ignored',
+				type: 'ignored'
+			}
+		];
+
+		it(
+			'should record violations relative to the baseline',
+			function() {
+				var baseline = new Baseline(
+					{
+						location: location
+					}
+				);
+
+				baseline.record(filePath, errors, data);
+
+				assert.deepEqual(Object.keys(baseline.files), ['foo.js']);
+				assert.lengthOf(baseline.files['foo.js'], 3);
+				assert.deepEqual(Object.keys(baseline.files['foo.js'][0]), ['hash', 'msg', 'ruleId']);
+
+				baseline.record(filePath, [], data);
+
+				assert.deepEqual(baseline.files, {});
+			}
+		);
+
+		it(
+			'should only filter violations that are in the baseline',
+			function() {
+				var baseline = new Baseline(
+					{
+						location: location
+					}
+				);
+
+				baseline.record(filePath, errors.slice(1, 2), data);
+
+				// The violations moved down a line, and there's one more of them now
+
+				var movedErrors = errors.map(
+					function(item) {
+						return Object.assign(
+							{},
+							item,
+							{
+								line: item.line + 1
+							}
+						);
+					}
+				);
+
+				var filtered = baseline.filter(filePath, movedErrors, '\n' + data);
+
+				assert.lengthOf(filtered, 3);
+				assert.equal(filtered[0].line, 2);
+				assert.equal(filtered[1].line, 4);
+				assert.equal(filtered[2].type, 'ignored');
+				assert.equal(baseline.getFixedCount(), 0);
+			}
+		);
+
+		it(
+			'should count the violations that have been fixed',
+			function() {
+				var baseline = new Baseline(
+					{
+						location: location
+					}
+				);
+
+				baseline.record(filePath, errors, data);
+
+				var filtered = baseline.filter(filePath, errors.slice(0, 1), data);
+
+				assert.lengthOf(filtered, 0);
+				assert.equal(baseline.getFixedCount(), 2);
+
+				baseline.filter(filePath, errors, data);
+
+				assert.equal(baseline.getFixedCount(), 0, 'Checking a file again should start over');
+			}
+		);
+
+		it(
+			'should load and save violations',
+			function() {
+				var write = sinon.stub().returns(Promise.resolve());
+
+				var files = {
+					'foo.js': [
+						{
+							hash: 'abc',
+							msg: 'Has error',
+							ruleId: 'foo'
+						}
+					]
+				};
+
+				var baseline = new Baseline(
+					{
+						location: location,
+						read: sinon.stub().returns(Promise.resolve(JSON.stringify({files: files}))),
+						write: write
+					}
+				);
+
+				return baseline.load().then(
+					function() {
+						assert.deepEqual(baseline.files, files);
+
+						return baseline.save();
+					}
+				).then(
+					function() {
+						assert.equal(write.args[0][0], location);
+						assert.deepEqual(JSON.parse(write.args[0][1]).files, files);
+					}
+				);
+			}
+		);
+	}
+);
\ No newline at end of file
@@ -0,0 +1,85 @@
+var chai = require('chai');
+var Promise = require('bluebird');
+var sinon = require('sinon');
+
+var Cache = require('../lib/cache');
+
+chai.use(require('chai-string'));
+
+var assert = chai.assert;
+
+describe(
+	'Cache',
+	function() {
+		'use strict';
+
+		it(
+			'should create stable keys',
+			function() {
+				var key = Cache.getKey('var x = 1;', {js: {}});
+
+				assert.equal(key, Cache.getKey('var x = 1;', {js: {}}));
+				assert.notEqual(key, Cache.getKey('var x = 2;', {js: {}}));
+				assert.notEqual(key, Cache.getKey('var x = 1;', {js: {lint: {}}}));
+			}
+		);
+
+		it(
+			'should only return entries with a matching key',
+			function() {
+				var cache = new Cache();
+
+				cache.set('foo.js', 'abc', {errors: []});
+
+				assert.deepEqual(cache.get('foo.js', 'abc'), {errors: [], key: 'abc'});
+				assert.isNull(cache.get('foo.js', 'def'));
+				assert.isNull(cache.get('bar.js', 'abc'));
+			}
+		);
+
+		it(
+			'should load and save entries',
+			function() {
+				var write = sinon.stub().returns(Promise.resolve());
+
+				var cache = new Cache(
+					{
+						location: '.csfcache',
+						read: sinon.stub().returns(Promise.resolve(JSON.stringify({files: {'foo.js': {key: 'abc'}}}))),
+						write: write
+					}
+				);
+
+				return cache.load().then(
+					function() {
+						assert.deepEqual(cache.get('foo.js', 'abc'), {key: 'abc'});
+
+						return cache.save();
+					}
+				).then(
+					function() {
+						assert.equal(write.args[0][0], '.csfcache');
+						assert.deepEqual(JSON.parse(write.args[0][1]).files, cache.entries);
+					}
+				);
+			}
+		);
+
+		it(
+			'should start empty when the cache can not be read',
+			function() {
+				var cache = new Cache(
+					{
+						read: sinon.stub().returns(Promise.resolve('{not json'))
+					}
+				);
+
+				return cache.load().then(
+					function() {
+						assert.deepEqual(cache.entries, {});
+					}
+				);
+			}
+		);
+	}
+);
\ No newline at end of file
@@ -3,14 +3,18 @@ var chai = require('chai');
 var fs = require('fs');
 var path = require('path');
 var sinon = require('sinon');
+var stream = require('stream');
 var Promise = require('bluebird');
 
 var cli = require('../lib/cli');
+var Config = require('../lib/config');
 var File = require('../lib/file');
+var Formatter = require('../lib/formatter');
 var Logger = require('../lib/logger');
 var config = require('../lib/config/eslint');
 
 var getRule = require('./test_utils').getRule;
+var timing = require('../lib/timing');
 
 chai.use(require('chai-string'));
 
@@ -43,8 +47,15 @@ describe(
 			}
 		};
 
-		var validContentStub = function(path, contents, callback) {
-			callback(null, MAP_CONTENT[path][1]);
+		var validContentStub = function(path, encoding, callback) {
+			var file = MAP_CONTENT[path];
+
+			if (file) {
+				callback(null, file[1]);
+			}
+			else {
+				invalidContentStub(path, encoding, callback);
+			}
 		};
 
 		var sandbox;
@@ -226,131 +237,108 @@ describe(
 		);
 
 		it(
-			'should check metadata',
+			'should read source from stdin',
 			function() {
-				sandbox.stub(fs, 'readFile').callsArgWith(2, null, '');
-				sandbox.stub(fs, 'existsSync').returns(true);
+				var stdin = new stream.PassThrough();
+
+				var logger = new Logger.constructor();
 
 				var cliInstance = new cli.CLI(
 					{
-						args: ['liferay/foo.js'],
+						args: ['ignored.js'],
 						flags: {
-							checkMetadata: true
+							stdin: true,
+							stdinFilename: 'foo.js'
 						},
 						log: _.noop,
-						logger: new Logger.constructor()
+						logger: logger,
+						stdin: stdin
 					}
 				);
 
-				var metaCheckerPath = path.join(__dirname, 'fixture', 'meta.js');
-
-				cliInstance._metaCheckerPath = metaCheckerPath;
-
-				var metaChecker = require(metaCheckerPath);
-
-				var checkMeta = sandbox.stub(metaChecker, 'check');
+				stdin.end(MAP_CONTENT['foo.js'][0]);
 
 				return cliInstance.init().then(
 					function() {
-						assert.isTrue(checkMeta.called, 'metaChecker.check should have been called, it was instead called ' + checkMeta.callCount + ' times');
+						assert.deepEqual(cliInstance._args, ['foo.js']);
+						assert.isAbove(logger.getErrors('foo.js').length, 0, 'The source from stdin should have been checked as foo.js');
 					}
 				);
 			}
 		);
 
 		it(
-			'should not check metadata',
+			'should write fixed stdin source to stdout',
 			function() {
-				sandbox.stub(fs, 'readFile').callsArgWith(2, null, '');
-				sandbox.stub(fs, 'existsSync').returns(true);
+				var stdin = new stream.PassThrough();
+
+				var stdout = {
+					write: sandbox.spy()
+				};
+
+				sandbox.stub(fs, 'writeFile').callsArgWith(2, null);
 
 				var cliInstance = new cli.CLI(
 					{
-						args: ['foo.js'],
 						flags: {
-							checkMetadata: true
+							inlineEdit: true,
+							stdin: true,
+							stdinFilename: 'baz.css'
 						},
 						log: _.noop,
-						logger: new Logger.constructor()
-					}
-				);
-
-				var metaCheckerPath = path.join(__dirname, 'fixture', 'meta.js');
-
-				cliInstance._metaCheckerPath = metaCheckerPath;
-
-				var metaChecker = require(metaCheckerPath);
-
-				var checkMeta = sandbox.stub(metaChecker, 'check');
-
-				return cliInstance.init().then(
-					function() {
-						assert.isTrue(checkMeta.notCalled, 'metaChecker.check should not have been called, it was instead called ' + metaChecker.check.callCount + ' times');
+						logger: new Logger.constructor(),
+						stdin: stdin,
+						stdout: stdout
 					}
 				);
-			}
-		);
-
-		it(
-			'should log results properly',
-			function() {
-				sandbox.stub(fs, 'readFile').callsFake(validContentStub);
-
-				var log = sandbox.spy();
 
-				var cliInstance = new cli.CLI(
-					{
-						args: ['foo.js'],
-						log: log,
-						logger: new Logger.constructor()
-					}
-				);
+				stdin.end(MAP_CONTENT['baz.css'][0]);
 
 				return cliInstance.init().then(
 					function() {
-						assert.isTrue(log.calledOnce, 'log should have been called only once, it was instead called ' + log.callCount + ' times');
-
-						log.reset();
-
-						cliInstance.logResults(null, 'foo.js');
-
-						assert.isTrue(log.notCalled, 'log should not have been called when logResults gets no input, it was instead called ' + log.callCount + ' times');
+						assert.isTrue(fs.writeFile.notCalled, 'fs.writeFile should not have been called, it was instead called ' + fs.writeFile.callCount + ' times');
+						assert.isTrue(stdout.write.calledOnce, 'stdout.write should have been called once, it was instead called ' + stdout.write.callCount + ' times');
+						assert.equal(stdout.write.args[0][0], MAP_CONTENT['baz.css'][1]);
 					}
 				);
 			}
 		);
 
 		it(
-			'should log verbose details properly',
+			'should pass through stdin source without a file name',
 			function() {
-				sandbox.stub(fs, 'readFile').callsArgWith(2, null, 'var x = ;');
+				var stdin = new stream.PassThrough();
 
-				var log = sandbox.spy();
-
-				var logger = new Logger.constructor();
+				var stdout = {
+					write: sandbox.spy()
+				};
 
 				var cliInstance = new cli.CLI(
 					{
-						args: ['foo.js'],
 						flags: {
-							config: false,
-							verbose: true
+							inlineEdit: true,
+							stdin: true
 						},
-						log: log,
-						logger: logger
+						log: _.noop,
+						logger: new Logger.constructor(),
+						stdin: stdin,
+						stdout: stdout
 					}
 				);
 
+				stdin.end('foo');
+
 				return cliInstance.init().then(
 					function() {
-						assert.isTrue(log.calledTwice, 'log should have been called twice, it was instead called ' + log.callCount + ' times');
+						assert.deepEqual(cliInstance._args, ['<input>']);
+						assert.equal(stdout.write.args[0][0], 'foo');
 					}
 				);
 			}
 		);
 
 		it(
-			'should log filenames properly',
+			'should check the files changed since a git ref',
 			function() {
 				sandbox.stub(fs, 'readFile').callsFake(
 					function(filePath, encoding, callback) {
@@ -358,284 +346,2118 @@ describe(
 					}
 				);
 
-				var log = sandbox.spy();
+				var root = path.join('home', 'liferay', 'portal');
 
-				var args = ['foo.js', 'bar.html', 'baz.css'];
+				var gitStub = {
+					getChangedFiles: sandbox.stub().returns(Promise.resolve(['foo.js', 'modules/baz.css'])),
+					getRoot: sandbox.stub().returns(Promise.resolve(root)),
+					getUntrackedFiles: sandbox.stub().returns(Promise.resolve([]))
+				};
+
+				var logger = new Logger.constructor();
 
 				var cliInstance = new cli.CLI(
 					{
-						args: args,
+						args: [],
 						flags: {
-							filenames: true
+							changedSince: 'master',
+							config: false
 						},
-						log: log,
-						logger: new Logger.constructor()
+						git: gitStub,
+						log: _.noop,
+						logger: logger
 					}
 				);
 
 				return cliInstance.init().then(
 					function() {
-						assert.isTrue(log.calledThrice, 'log should have been called 3 times, it was instead called ' + log.callCount + ' times');
-						assert.equal(args.join(), log.args.join());
+						var options = gitStub.getChangedFiles.args[0][0];
+
+						assert.equal(options.cwd, root);
+						assert.equal(options.ref, 'master');
+
+						assert.deepEqual(cliInstance._args, ['foo.js', 'modules/baz.css']);
+
+						assert.isTrue(fs.readFile.calledWith(path.resolve(root, 'foo.js')), 'foo.js should have been read from the repository root');
+						assert.isTrue(fs.readFile.calledWith(path.resolve(root, 'modules/baz.css')), 'modules/baz.css should have been read from the repository root');
+
+						assert.isAbove(logger.getErrors('modules/baz.css').length, 0, 'Errors should be reported relative to the repository root');
 					}
 				);
 			}
 		);
 
 		it(
-			'should log relative filenames properly',
+			'should check new files that git does not track yet',
 			function() {
-				sandbox.stub(fs, 'readFile').callsFake(
-					function(filePath, encoding, callback) {
-						callback(null, MAP_CONTENT[path.basename(filePath)][0]);
-					}
-				);
-
-				var log = sandbox.spy();
+				sandbox.stub(fs, 'readFile').callsArgWith(2, null, 'var x = function(){\n};');
 
-				var args = ['foo.js', 'bar.html', 'baz.css'];
+				var root = path.join('home', 'liferay', 'portal');
 
-				var pathArgs = args.map(
-					function(item, index) {
-						return path.join('home', 'liferay', 'modules', item);
-					}
-				);
+				var gitStub = {
+					getChangedFiles: sandbox.stub().returns(Promise.resolve(['foo.js'])),
+					getRoot: sandbox.stub().returns(Promise.resolve(root)),
+					getUntrackedFiles: sandbox.stub().returns(Promise.resolve(['foo.js', 'modules/new.js']))
+				};
 
-				var relativeArgs = args.map(
-					function(item, index) {
-						return path.join('..', '..', 'modules', item);
-					}
-				);
+				var logger = new Logger.constructor();
 
 				var cliInstance = new cli.CLI(
 					{
-						args: pathArgs,
-						cwd: path.join('home', 'liferay', 'scripts', 'tests'),
+						args: [],
 						flags: {
-							filenames: true,
-							relative: true
+							changedSince: 'master',
+							config: false
 						},
-						log: log,
-						logger: new Logger.constructor()
+						git: gitStub,
+						log: _.noop,
+						logger: logger
 					}
 				);
 
 				return cliInstance.init().then(
 					function() {
-						assert.isTrue(log.calledThrice, 'log should have been called 3 times, it was instead called ' + log.callCount + ' times');
-						assert.equal(relativeArgs.join(), log.args.join());
+						assert.equal(gitStub.getUntrackedFiles.args[0][0], root);
+						assert.deepEqual(cliInstance._args, ['foo.js', 'modules/new.js']);
+						assert.isAbove(logger.getErrors('modules/new.js').length, 0);
 					}
 				);
 			}
 		);
 
 		it(
-			'should log missing files properly',
+			'should check the staged files',
 			function() {
-				sandbox.stub(fs, 'readFile').callsArgWith(2, new Error());
-
-				sandbox.stub(File, 'handleFileReadError').returns('Missing file');
+				sandbox.stub(fs, 'readFile').callsFake(invalidContentStub);
 
-				var log = sandbox.spy();
+				var gitStub = {
+					getChangedFiles: sandbox.stub().returns(Promise.resolve([])),
+					getRoot: sandbox.stub().returns(Promise.resolve(process.cwd()))
+				};
 
 				var cliInstance = new cli.CLI(
 					{
 						args: ['foo.js'],
-						log: log,
+						flags: {
+							staged: true
+						},
+						git: gitStub,
+						log: _.noop,
 						logger: new Logger.constructor()
 					}
 				);
 
 				return cliInstance.init().then(
 					function() {
-						assert.isTrue(log.calledThrice, 'log should have been called 3 times, it was instead called ' + log.callCount + ' times');
-						assert.isTrue(File.handleFileReadError.calledOnce, 'File.handleFileReadError should have been called, it was instead called ' + File.handleFileReadError.callCount + ' times');
+						assert.isTrue(gitStub.getChangedFiles.args[0][0].staged);
+						assert.isTrue(fs.readFile.notCalled, 'fs.readFile should not have been called, it was instead called ' + fs.readFile.callCount + ' times');
 					}
 				);
 			}
 		);
 
 		it(
-			'should not write missing files',
+			'should only report violations on changed lines',
 			function() {
-				sandbox.stub(fs, 'readFile').callsFake(invalidContentStub);
-				sandbox.stub(fs, 'writeFile').callsArgWith(2, null);
+				var contents = 'var x = function(){\n};\nvar y = function(){\n};';
 
-				sandbox.stub(File, 'handleFileReadError').returns('Missing file');
+				sandbox.stub(fs, 'readFile').callsArgWith(2, null, contents);
+
+				var root = path.resolve('home', 'liferay', 'portal');
+
+				var gitStub = {
+					getChangedLines: sandbox.stub().returns(
+						Promise.resolve(
+							{
+								'foo.js': [[3, 4]]
+							}
+						)
+					),
+					getRoot: sandbox.stub().returns(Promise.resolve(root)),
+					getUntrackedFiles: sandbox.stub().returns(Promise.resolve(['bar.js']))
+				};
 
 				var log = sandbox.spy();
+				var logger = new Logger.constructor();
 
 				var cliInstance = new cli.CLI(
 					{
-						args: ['foo.js', 'bar.html', 'not_a_file.css'],
+						args: [path.join(root, 'foo.js'), path.join(root, 'bar.js'), path.join(root, 'baz.js')],
 						flags: {
-							inlineEdit: true
+							config: false,
+							diffOnly: true
 						},
+						git: gitStub,
 						log: log,
-						logger: new Logger.constructor()
+						logger: logger
 					}
 				);
 
 				return cliInstance.init().then(
 					function() {
-						assert.isTrue(fs.writeFile.calledTwice, 'writeFile should have been called only 2 times, it was instead called ' + fs.writeFile.callCount + ' times');
+						var changedErrors = logger.getErrors(path.join(root, 'foo.js'));
+						var untrackedErrors = logger.getErrors(path.join(root, 'bar.js'));
+						var unchangedErrors = logger.getErrors(path.join(root, 'baz.js'));
+
+						assert.equal(gitStub.getChangedLines.args[0][0].ref, 'HEAD');
+
+						assert.isAbove(changedErrors.length, 0);
+						assert.isTrue(
+							changedErrors.every(
+								function(item) {
+									return item.line >= 3;
+								}
+							),
+							'Only errors on lines 3 and 4 should have been kept'
+						);
+
+						assert.isAbove(untrackedErrors.length, changedErrors.length, 'Errors in untracked files should all be kept');
+						assert.lengthOf(unchangedErrors, 0);
+
+						assert.equal(logger.testStats.failures, changedErrors.length + untrackedErrors.length);
+
+						assert.include(log.args[0][0], 'pre-existing violation(s) hidden');
 					}
 				);
 			}
 		);
 
 		it(
-			'should ignore directories properly',
+			'should match changed lines to files relative to the cwd',
 			function() {
-				var err = new Error();
+				var contents = 'var x = function(){\n};\nvar y = function(){\n};';
 
-				err.errno = -21;
-				err.code = 'EISDIR';
+				sandbox.stub(fs, 'readFile').callsArgWith(2, null, contents);
 
-				sandbox.stub(fs, 'readFile').callsArgWith(2, err);
+				var root = path.resolve('home', 'liferay', 'portal');
 
-				sandbox.spy(File, 'handleFileReadError');
+				var gitStub = {
+					getChangedLines: sandbox.stub().returns(
+						Promise.resolve(
+							{
+								'foo.js': [[3, 4]]
+							}
+						)
+					),
+					getRoot: sandbox.stub().returns(Promise.resolve(root)),
+					getUntrackedFiles: sandbox.stub().returns(Promise.resolve([]))
+				};
 
-				var log = sandbox.spy();
+				var logger = new Logger.constructor();
 
 				var cliInstance = new cli.CLI(
 					{
-						args: ['./'],
-						log: log,
-						logger: new Logger.constructor()
+						args: ['foo.js'],
+						cwd: root,
+						flags: {
+							config: false,
+							diffOnly: true
+						},
+						git: gitStub,
+						log: _.noop,
+						logger: logger
 					}
 				);
 
 				return cliInstance.init().then(
 					function() {
-						assert.isTrue(log.notCalled, 'log should not have been called, it was instead called ' + log.callCount + ' times');
-						assert.isTrue(File.handleFileReadError.returned(''), 'File.handleFileReadError should have returned nothing');
+						var errors = logger.getErrors('foo.js');
+
+						assert.isAbove(errors.length, 0);
+						assert.isTrue(
+							errors.every(
+								function(item) {
+									return item.line >= 3;
+								}
+							)
+						);
 					}
 				);
 			}
 		);
 
 		it(
-			'should log general errors properly',
+			'should process files in parallel with the same output',
 			function() {
-				var log = sandbox.spy();
+				this.timeout(30000);
 
-				var cliInstance = new cli.CLI(
-					{
-						args: [],
-						log: log,
-						logger: new Logger.constructor()
+				var args = ['test.js', 'test.jsp', 'css/at_rule_empty_line.css'].map(
+					function(item, index) {
+						return path.join('test', 'fixture', item);
 					}
 				);
 
-				cliInstance.logGeneralError(new Error('Something general happened....'));
+				var run = function(jobs) {
+					var log = sinon.spy();
+					var logger = new Logger.constructor();
+					var write = sinon.stub().returns(Promise.resolve());
 
-				assert.isTrue(log.calledOnce, 'log should have been called once, it was instead called ' + log.callCount + ' times');
-				assert.startsWith(log.args[0][0], 'Something went wrong');
+					var cliInstance = new cli.CLI(
+						{
+							args: args,
+							flags: {
+								inlineEdit: true,
+								jobs: jobs
+							},
+							log: log,
+							logger: logger,
+							write: write
+						}
+					);
+
+					return cliInstance.init().then(
+						function() {
+							return {
+								errors: logger.getErrors(),
+								log: log.args,
+								rules: _.map(args, _.bindKey(logger, 'getRules')),
+								stats: logger.testStats,
+								write: write.args
+							};
+						}
+					);
+				};
+
+				return Promise.mapSeries([1, 2], run).spread(
+					function(serial, parallel) {
+						assert.deepEqual(_.keys(parallel.errors), args, 'Files should be logged in the order they were passed in');
+						assert.deepEqual(parallel.log, serial.log);
+						assert.deepEqual(parallel.rules, serial.rules);
+						assert.isNotEmpty(serial.rules[0]);
+						assert.deepEqual(parallel.stats, serial.stats);
+						assert.isNotEmpty(serial.write);
+						assert.deepEqual(parallel.write, serial.write);
+					}
+				);
 			}
 		);
 
 		it(
-			'should open files properly',
+			'should handle missing files in parallel',
 			function() {
-				sandbox.stub(fs, 'readFile').callsFake(invalidContentStub);
-
-				var cliModule = require('cli');
+				var WorkerPoolStub = function() {
+				};
 
-				sandbox.stub(cliModule, 'exec').callsFake(
-					function(command, callback) {
-						if (callback) {
-							callback(['sublime']);
+				WorkerPoolStub.prototype.end = sandbox.spy();
+
+				WorkerPoolStub.prototype.run = function(options) {
+					return Promise.resolve(
+						{
+							errors: [],
+							result: {
+								contents: '',
+								err: {
+									code: 'ENOENT'
+								},
+								file: options.file
+							}
 						}
-					}
-				);
+					);
+				};
 
 				var log = sandbox.spy();
 
 				var cliInstance = new cli.CLI(
 					{
-						args: ['foo.js'],
+						args: ['foo.js', 'bar.js'],
 						flags: {
-							open: true
+							jobs: 2
 						},
 						log: log,
-						logger: new Logger.constructor()
+						logger: new Logger.constructor(),
+						WorkerPool: WorkerPoolStub
 					}
 				);
 
 				return cliInstance.init().then(
 					function() {
-						assert.isTrue(log.calledOnce, 'log should have been called only once, it was instead called ' + log.callCount + ' times');
-						assert.isTrue(cliModule.exec.calledTwice, 'cliModule.exec should have been called 2 times, it was instead called ' + cliModule.exec.callCount + ' times');
+						assert.isTrue(WorkerPoolStub.prototype.end.calledOnce, 'The pool should have been ended');
+						assert.startsWith(log.args[1][0], 'File does not exist');
+						assert.startsWith(log.args[4][0], 'File does not exist');
 					}
 				);
 			}
 		);
 
 		it(
-			'should not log without arguments',
+			'should replay cached results',
 			function() {
-				sandbox.stub(fs, 'readFile').callsFake(invalidContentStub);
+				var cacheContents = {};
 
-				var cliModule = require('cli');
+				var cachePath = path.resolve('.csfcache');
 
-				sandbox.stub(cliModule, 'exec').callsFake(
-					function(command, callback) {
-						if (callback) {
-							callback(['sublime']);
+				sandbox.stub(fs, 'readFile').callsFake(
+					function(filePath, encoding, callback) {
+						if (filePath === cachePath) {
+							callback(cacheContents.value ? null : new Error('ENOENT'), cacheContents.value);
+						}
+						else {
+							invalidContentStub(filePath, encoding, callback);
 						}
 					}
 				);
 
-				var log = sandbox.spy();
+				sandbox.stub(fs, 'writeFile').callsFake(
+					function(filePath, contents, callback) {
+						cacheContents.value = contents;
 
-				var cliInstance = new cli.CLI(
-					{
-						args: [],
-						flags: {
-							open: true
-						},
-						log: log,
-						logger: new Logger.constructor()
+						callback(null);
 					}
 				);
 
-				cliInstance.init();
+				var run = function(flags) {
+					var log = sinon.spy();
+					var logger = new Logger.constructor();
+
+					var cliInstance = new cli.CLI(
+						{
+							args: ['foo.js', 'bar.html'],
+							flags: _.assign(
+								{
+									cache: true,
+									config: false
+								},
+								flags
+							),
+							log: log,
+							logger: logger
+						}
+					);
 
-				assert.isTrue(log.notCalled, 'log should not have been called, it was instead called ' + log.callCount + ' times');
-				assert.isTrue(cliModule.exec.notCalled, 'cliModule.exec should not have been called, it was instead called ' + cliModule.exec.callCount + ' times');
+					var format = sandbox.spy(Formatter.JS.prototype, 'format');
+
+					return cliInstance.init().then(
+						function() {
+							format.restore();
+
+							return {
+								errors: logger.getErrors(),
+								formatCount: format.callCount,
+								log: log.args,
+								rules: logger.getRules('foo.js'),
+								stats: logger.testStats
+							};
+						}
+					);
+				};
+
+				return Promise.mapSeries([{}, {}, {filenames: true}], run).spread(
+					function(fresh, cached, filenames) {
+						assert.equal(fresh.formatCount, 1);
+						assert.equal(cached.formatCount, 0, 'Cached files should not be formatted again');
+
+						assert.deepEqual(cached.errors, fresh.errors);
+						assert.deepEqual(cached.log, fresh.log);
+						assert.deepEqual(cached.stats, fresh.stats);
+
+						assert.include(fresh.rules, 'csf-sort-vars');
+						assert.deepEqual(cached.rules, fresh.rules, 'The rules that ran should be cached');
+
+						assert.deepEqual(filenames.log, [['foo.js'], ['bar.html']]);
+					}
+				);
+			}
+		);
+
+		it(
+			'should not replay cached results for a different config',
+			function() {
+				var cliInstance = new cli.CLI(
+					{
+						args: ['foo.js'],
+						flags: {
+							cache: true
+						}
+					}
+				);
+
+				var Cache = require('../lib/cache');
+
+				cliInstance._cache = new Cache();
+
+				var getKey = function(file, config) {
+					var formatter = Formatter.get(file, new Logger.constructor(), {});
+
+					formatter._config = new Config(config);
+
+					formatter._config._paths.cwd = process.cwd();
+
+					return cliInstance._getCacheKey('var x;', formatter);
+				};
+
+				assert.equal(getKey('foo.js', {}), getKey('foo.js', {}));
+				assert.notEqual(getKey('foo.js', {}), getKey('bar.js', {js: {lint: {rules: {'no-undef': 0}}}}));
+			}
+		);
+
+		it(
+			'should check metadata',
+			function() {
+				sandbox.stub(fs, 'readFile').callsArgWith(2, null, '');
+				sandbox.stub(fs, 'existsSync').returns(true);
+
+				var cliInstance = new cli.CLI(
+					{
+						args: ['liferay/foo.js'],
+						flags: {
+							checkMetadata: true
+						},
+						log: _.noop,
+						logger: new Logger.constructor()
+					}
+				);
+
+				var metaCheckerPath = path.join(__dirname, 'fixture', 'meta.js');
+
+				cliInstance._metaCheckerPath = metaCheckerPath;
+
+				var metaChecker = require(metaCheckerPath);
+
+				var checkMeta = sandbox.stub(metaChecker, 'check');
+
+				return cliInstance.init().then(
+					function() {
+						assert.isTrue(checkMeta.called, 'metaChecker.check should have been called, it was instead called ' + checkMeta.callCount + ' times');
+					}
+				);
+			}
+		);
+
+		it(
+			'should not check metadata',
+			function() {
+				sandbox.stub(fs, 'readFile').callsArgWith(2, null, '');
+				sandbox.stub(fs, 'existsSync').returns(true);
+
+				var cliInstance = new cli.CLI(
+					{
+						args: ['foo.js'],
+						flags: {
+							checkMetadata: true
+						},
+						log: _.noop,
+						logger: new Logger.constructor()
+					}
+				);
+
+				var metaCheckerPath = path.join(__dirname, 'fixture', 'meta.js');
+
+				cliInstance._metaCheckerPath = metaCheckerPath;
+
+				var metaChecker = require(metaCheckerPath);
+
+				var checkMeta = sandbox.stub(metaChecker, 'check');
+
+				return cliInstance.init().then(
+					function() {
+						assert.isTrue(checkMeta.notCalled, 'metaChecker.check should not have been called, it was instead called ' + metaChecker.check.callCount + ' times');
+					}
+				);
+			}
+		);
+
+		it(
+			'should log results properly',
+			function() {
+				sandbox.stub(fs, 'readFile').callsFake(validContentStub);
+
+				var log = sandbox.spy();
+
+				var cliInstance = new cli.CLI(
+					{
+						args: ['foo.js'],
+						log: log,
+						logger: new Logger.constructor()
+					}
+				);
+
+				return cliInstance.init().then(
+					function() {
+						assert.isTrue(log.calledOnce, 'log should have been called only once, it was instead called ' + log.callCount + ' times');
+
+						log.reset();
+
+						cliInstance.logResults(null, 'foo.js');
+
+						assert.isTrue(log.notCalled, 'log should not have been called when logResults gets no input, it was instead called ' + log.callCount + ' times');
+					}
+				);
+			}
+		);
+
+		it(
+			'should log verbose details properly',
+			function() {
+				sandbox.stub(fs, 'readFile').callsArgWith(2, null, 'var x = ;');
+
+				var log = sandbox.spy();
+
+				var logger = new Logger.constructor();
+
+				var cliInstance = new cli.CLI(
+					{
+						args: ['foo.js'],
+						flags: {
+							config: false,
+							verbose: true
+						},
+						log: log,
+						logger: logger
+					}
+				);
+
+				return cliInstance.init().then(
+					function() {
+						assert.isTrue(log.calledTwice, 'log should have been called twice, it was instead called ' + log.callCount + ' times');
+					}
+				);
+			}
+		);
+
+		it(
+			'should log filenames properly',
+			function() {
+				sandbox.stub(fs, 'readFile').callsFake(
+					function(filePath, encoding, callback) {
+						callback(null, MAP_CONTENT[path.basename(filePath)][0]);
+					}
+				);
+
+				var log = sandbox.spy();
+
+				var args = ['foo.js', 'bar.html', 'baz.css'];
+
+				var cliInstance = new cli.CLI(
+					{
+						args: args,
+						flags: {
+							config: false,
+							filenames: true
+						},
+						log: log,
+						logger: new Logger.constructor()
+					}
+				);
+
+				return cliInstance.init().then(
+					function() {
+						assert.isTrue(log.calledThrice, 'log should have been called 3 times, it was instead called ' + log.callCount + ' times');
+						assert.equal(args.join(), log.args.join());
+					}
+				);
+			}
+		);
+
+		it(
+			'should log relative filenames properly',
+			function() {
+				sandbox.stub(fs, 'readFile').callsFake(
+					function(filePath, encoding, callback) {
+						callback(null, MAP_CONTENT[path.basename(filePath)][0]);
+					}
+				);
+
+				var log = sandbox.spy();
+
+				var args = ['foo.js', 'bar.html', 'baz.css'];
+
+				var pathArgs = args.map(
+					function(item, index) {
+						return path.join('home', 'liferay', 'modules', item);
+					}
+				);
+
+				var relativeArgs = args.map(
+					function(item, index) {
+						return path.join('..', '..', 'modules', item);
+					}
+				);
+
+				var cliInstance = new cli.CLI(
+					{
+						args: pathArgs,
+						cwd: path.join('home', 'liferay', 'scripts', 'tests'),
+						flags: {
+							config: false,
+							filenames: true,
+							relative: true
+						},
+						log: log,
+						logger: new Logger.constructor()
+					}
+				);
+
+				return cliInstance.init().then(
+					function() {
+						assert.isTrue(log.calledThrice, 'log should have been called 3 times, it was instead called ' + log.callCount + ' times');
+						assert.equal(relativeArgs.join(), log.args.join());
+					}
+				);
+			}
+		);
+
+		it(
+			'should log missing files properly',
+			function() {
+				sandbox.stub(fs, 'readFile').callsArgWith(2, new Error());
+
+				sandbox.stub(File, 'handleFileReadError').returns('Missing file');
+
+				var log = sandbox.spy();
+
+				var cliInstance = new cli.CLI(
+					{
+						args: ['foo.js'],
+						flags: {
+							config: false
+						},
+						log: log,
+						logger: new Logger.constructor()
+					}
+				);
+
+				return cliInstance.init().then(
+					function() {
+						assert.isTrue(log.calledThrice, 'log should have been called 3 times, it was instead called ' + log.callCount + ' times');
+						assert.isTrue(File.handleFileReadError.calledOnce, 'File.handleFileReadError should have been called, it was instead called ' + File.handleFileReadError.callCount + ' times');
+					}
+				);
+			}
+		);
+
+		it(
+			'should preview fixes without writing files',
+			function() {
+				sandbox.stub(fs, 'readFile').callsFake(invalidContentStub);
+				sandbox.stub(fs, 'writeFile').callsArgWith(2, null);
+
+				var log = sandbox.spy();
+
+				var cliInstance = new cli.CLI(
+					{
+						args: ['foo.js'],
+						flags: {
+							config: false,
+							fixDryRun: true
+						},
+						log: log,
+						logger: new Logger.constructor()
+					}
+				);
+
+				return cliInstance.init().then(
+					function() {
+						var out = log.args.map(_.head);
+
+						assert.isTrue(fs.writeFile.notCalled, 'writeFile should not have been called, it was instead called ' + fs.writeFile.callCount + ' times');
+						assert.include(out, 'foo.js: 1 fix(es) would be applied');
+
+						var filePatch = _.find(
+							out,
+							function(item) {
+								return _.startsWith(item, '--- a/foo.js');
+							}
+						);
+
+						assert.isString(filePatch, 'The patch should have been logged');
+						assert.include(filePatch, '+' + MAP_CONTENT['foo.js'][1].split('\n')[0]);
+					}
+				);
+			}
+		);
+
+		it(
+			'should only show the rules that made a fix',
+			function() {
+				sandbox.stub(fs, 'writeFile').callsArgWith(2, null);
+
+				var log = sandbox.spy();
+
+				var cliInstance = new cli.CLI(
+					{
+						args: ['foo.js'],
+						flags: {
+							config: false,
+							inlineEdit: true,
+							interactive: true
+						},
+						log: log,
+						logger: new Logger.constructor(),
+						read: function() {
+							return Promise.resolve('var x = document["foo"];');
+						}
+					}
+				);
+
+				sandbox.stub(cliInstance, '_prompt').returns(Promise.resolve('n'));
+
+				return cliInstance.init().then(
+					function() {
+						var rule = _.find(
+							log.args,
+							function(item) {
+								return _.startsWith(item[0], 'Rule: ');
+							}
+						)[0];
+
+						assert.include(rule, '(dot-notation)');
+						assert.notInclude(rule, 'no-unused-vars');
+					}
+				);
+			}
+		);
+
+		it(
+			'should count each fix on a line when previewing fixes',
+			function() {
+				var log = sandbox.spy();
+
+				var cliInstance = new cli.CLI(
+					{
+						args: ['foo.js'],
+						flags: {
+							config: false,
+							fixDryRun: true
+						},
+						log: log,
+						logger: new Logger.constructor(),
+						read: function() {
+							return Promise.resolve('var x = document["foo"];');
+						}
+					}
+				);
+
+				return cliInstance.init().then(
+					function() {
+						assert.isTrue(log.calledWith('foo.js: 2 fix(es) would be applied'));
+					}
+				);
+			}
+		);
+
+		it(
+			'should write previewed fixes to a patch file',
+			function() {
+				sandbox.stub(fs, 'readFile').callsFake(invalidContentStub);
+				sandbox.stub(fs, 'writeFile').callsArgWith(2, null);
+
+				var cwd = path.resolve('home', 'liferay', 'portal');
+				var log = sandbox.spy();
+
+				var cliInstance = new cli.CLI(
+					{
+						args: ['foo.js', 'bar.html'],
+						cwd: cwd,
+						flags: {
+							config: false,
+							fixDryRun: true,
+							patchFile: 'fixes.patch'
+						},
+						log: log,
+						logger: new Logger.constructor()
+					}
+				);
+
+				return cliInstance.init().then(
+					function() {
+						assert.isTrue(fs.writeFile.calledOnce, 'writeFile should have been called once, it was instead called ' + fs.writeFile.callCount + ' times');
+						assert.equal(fs.writeFile.args[0][0], path.join(cwd, 'fixes.patch'));
+
+						var contents = fs.writeFile.args[0][1];
+
+						assert.include(contents, '+++ b/foo.js');
+						assert.include(contents, '+++ b/bar.html');
+						assert.isTrue(log.calledWith('Wrote patch: fixes.patch'));
+					}
+				);
+			}
+		);
+
+		it(
+			'should only write the fixes that were confirmed',
+			function() {
+				var data = 'var x = function(){\n};\nvar y = 1;\nvar z = function(){\n};';
+
+				sandbox.stub(fs, 'writeFile').callsArgWith(2, null);
+
+				var log = sandbox.spy();
+
+				var cliInstance = new cli.CLI(
+					{
+						args: ['foo.js', 'bar.js'],
+						flags: {
+							config: false,
+							inlineEdit: true,
+							interactive: true,
+							lint: false
+						},
+						log: log,
+						logger: new Logger.constructor(),
+						read: function() {
+							return Promise.resolve(data);
+						}
+					}
+				);
+
+				var prompt = sandbox.stub(cliInstance, '_prompt');
+
+				prompt.onCall(0).returns(Promise.resolve('maybe'));
+				prompt.onCall(1).returns(Promise.resolve('n'));
+				prompt.onCall(2).returns(Promise.resolve('yes'));
+				prompt.onCall(3).returns(Promise.resolve('q'));
+
+				return cliInstance.init().then(
+					function() {
+						assert.equal(prompt.callCount, 4, 'Invalid answers should be asked again, and nothing should be asked after quitting');
+
+						assert.isTrue(fs.writeFile.calledOnce, 'writeFile should have been called once, it was instead called ' + fs.writeFile.callCount + ' times');
+						assert.equal(fs.writeFile.args[0][0], 'foo.js');
+						assert.equal(fs.writeFile.args[0][1], 'var x = function(){\n};\nvar y = 1;\nvar z = function() {\n};');
+
+						assert.isTrue(log.calledWith('Rule: Needs a space between ")" and "{": var z = function(){ (csf/js/invalid-conditional)'));
+					}
+				);
+			}
+		);
+
+		it(
+			'should write all remaining fixes in a file when confirmed',
+			function() {
+				var data = 'var x = function(){\n};\nvar y = 1;\nvar z = function(){\n};';
+
+				sandbox.stub(fs, 'writeFile').callsArgWith(2, null);
+
+				var cliInstance = new cli.CLI(
+					{
+						args: ['foo.js'],
+						flags: {
+							config: false,
+							inlineEdit: true,
+							interactive: true,
+							lint: false
+						},
+						log: _.noop,
+						logger: new Logger.constructor(),
+						read: function() {
+							return Promise.resolve(data);
+						}
+					}
+				);
+
+				var prompt = sandbox.stub(cliInstance, '_prompt').returns(Promise.resolve('a'));
+
+				return cliInstance.init().then(
+					function() {
+						assert.isTrue(prompt.calledOnce, '_prompt should have been called once, it was instead called ' + prompt.callCount + ' times');
+						assert.equal(fs.writeFile.args[0][1], 'var x = function() {\n};\nvar y = 1;\nvar z = function() {\n};');
+					}
+				);
+			}
+		);
+
+		it(
+			'should not write missing files',
+			function() {
+				sandbox.stub(fs, 'readFile').callsFake(invalidContentStub);
+				sandbox.stub(fs, 'writeFile').callsArgWith(2, null);
+
+				sandbox.stub(File, 'handleFileReadError').returns('Missing file');
+
+				var log = sandbox.spy();
+
+				var cliInstance = new cli.CLI(
+					{
+						args: ['foo.js', 'bar.html', 'not_a_file.css'],
+						flags: {
+							inlineEdit: true
+						},
+						log: log,
+						logger: new Logger.constructor()
+					}
+				);
+
+				return cliInstance.init().then(
+					function() {
+						assert.isTrue(fs.writeFile.calledTwice, 'writeFile should have been called only 2 times, it was instead called ' + fs.writeFile.callCount + ' times');
+					}
+				);
+			}
+		);
+
+		it(
+			'should expand directories',
+			function() {
+				var cliInstance = new cli.CLI(
+					{
+						args: ['.'],
+						cwd: path.join(__dirname, 'fixture/directory'),
+						log: _.noop,
+						logger: new Logger.constructor()
+					}
+				);
+
+				return cliInstance.init().then(
+					function() {
+						assert.sameMembers(cliInstance._args, ['baz.css', 'csf.config.js', 'foo.js', path.join('templates', 'bar.html')]);
+					}
+				);
+			}
+		);
+
+		it(
+			'should only check each file once when args overlap',
+			function() {
+				var cliInstance = new cli.CLI(
+					{
+						args: ['.', 'templates', './foo.js', 'templates/bar.html'],
+						cwd: path.join(__dirname, 'fixture/directory'),
+						log: _.noop,
+						logger: new Logger.constructor()
+					}
+				);
+
+				return cliInstance.init().then(
+					function() {
+						assert.sameMembers(cliInstance._args, ['baz.css', 'csf.config.js', 'foo.js', path.join('templates', 'bar.html')]);
+					}
+				);
+			}
+		);
+
+		it(
+			'should skip ignored files that a glob matches',
+			function() {
+				var cliInstance = new cli.CLI(
+					{
+						args: ['**/*.js', path.join('build', 'built.js')],
+						cwd: path.join(__dirname, 'fixture/directory'),
+						log: _.noop,
+						logger: new Logger.constructor()
+					}
+				);
+
+				return cliInstance.init().then(
+					function() {
+						assert.sameMembers(cliInstance._args, ['csf.config.js', 'foo-min.js', 'foo.js', path.join('build', 'built.js')]);
+					}
+				);
+			}
+		);
+
+		it(
+			'should only skip default directories when config is disabled and files are forced',
+			function() {
+				var cliInstance = new cli.CLI(
+					{
+						args: ['.'],
+						cwd: path.join(__dirname, 'fixture/directory'),
+						flags: {
+							config: false,
+							force: true
+						},
+						log: _.noop,
+						logger: new Logger.constructor()
+					}
+				);
+
+				return cliInstance.init().then(
+					function() {
+						assert.sameMembers(
+							cliInstance._args,
+							['baz.css', 'csf.config.js', 'foo-min.js', 'foo.js', path.join('generated', 'generated.js'), path.join('templates', 'bar.html')]
+						);
+					}
+				);
+			}
+		);
+
+		it(
+			'should recheck changed files when watching',
+			function() {
+				var contents = MAP_CONTENT['foo.js'][0];
+
+				var log = sandbox.spy();
+
+				var logger = new Logger.constructor();
+
+				var watch = sandbox.stub();
+
+				var cliInstance = new cli.CLI(
+					{
+						args: ['foo.js'],
+						flags: {
+							config: false,
+							lint: false,
+							watch: true
+						},
+						log: log,
+						logger: logger,
+						read: function() {
+							return Promise.resolve(contents);
+						},
+						watch: watch
+					}
+				);
+
+				cliInstance.WATCH_DELAY = 0;
+
+				return cliInstance.init().then(
+					function() {
+						assert.isTrue(watch.calledOnce, 'watch should have been called once, it was instead called ' + watch.callCount + ' times');
+						assert.equal(watch.args[0][0], process.cwd());
+						assert.isAbove(logger.getErrors('foo.js').length, 0);
+
+						log.reset();
+
+						contents = MAP_CONTENT['foo.js'][1];
+
+						watch.args[0][1]('change', 'bar.js');
+						watch.args[0][1]('change', 'foo.js');
+						watch.args[0][1]('change', 'foo.js');
+
+						return Promise.delay(10).then(
+							function() {
+								return cliInstance._watchQueue;
+							}
+						);
+					}
+				).then(
+					function() {
+						assert.isTrue(log.calledOnce, 'log should have been called once, it was instead called ' + log.callCount + ' times');
+						assert.lengthOf(logger.getErrors('foo.js'), 0);
+						assert.equal(logger.testStats.failures, 0);
+					}
+				);
+			}
+		);
+
+		it(
+			'should reload configs when a config file changes when watching',
+			function() {
+				var watch = sandbox.stub();
+
+				var cliInstance = new cli.CLI(
+					{
+						args: ['foo.js'],
+						flags: {
+							config: false,
+							watch: true
+						},
+						log: _.noop,
+						logger: new Logger.constructor(),
+						read: function() {
+							return Promise.resolve(MAP_CONTENT['foo.js'][1]);
+						},
+						watch: watch
+					}
+				);
+
+				cliInstance.WATCH_DELAY = 0;
+
+				var loader;
+
+				return cliInstance.init().then(
+					function() {
+						loader = cliInstance._config;
+
+						sandbox.spy(Formatter, 'clearConfigCache');
+						sandbox.spy(cliInstance, 'processFile');
+
+						watch.args[0][1]('change', 'csf.config.js');
+
+						return Promise.delay(10).then(
+							function() {
+								return cliInstance._watchQueue;
+							}
+						);
+					}
+				).then(
+					function() {
+						assert.isTrue(Formatter.clearConfigCache.calledOnce, 'Formatter.clearConfigCache should have been called once, it was instead called ' + Formatter.clearConfigCache.callCount + ' times');
+						assert.notStrictEqual(cliInstance._config, loader, 'A new config loader should have been created');
+						assert.isTrue(cliInstance.processFile.calledWith('foo.js'));
+					}
+				);
+			}
+		);
+
+		it(
+			'should ignore directories properly',
+			function() {
+				var err = new Error();
+
+				err.errno = -21;
+				err.code = 'EISDIR';
+
+				sandbox.stub(fs, 'readFile').callsArgWith(2, err);
+
+				sandbox.spy(File, 'handleFileReadError');
+
+				var log = sandbox.spy();
+
+				var cliInstance = new cli.CLI(
+					{
+						args: ['foo/'],
+						flags: {
+							config: false
+						},
+						log: log,
+						logger: new Logger.constructor()
+					}
+				);
+
+				return cliInstance.init().then(
+					function() {
+						assert.isTrue(log.notCalled, 'log should not have been called, it was instead called ' + log.callCount + ' times');
+						assert.isTrue(File.handleFileReadError.returned(''), 'File.handleFileReadError should have returned nothing');
+						assert.equal(cliInstance.getExitCode(), cli.CLI.EXIT_OK);
+					}
+				);
+			}
+		);
+
+		it(
+			'should log to stderr when stdout has a report',
+			function() {
+				var error = sandbox.stub(console, 'error');
+				var log = sandbox.stub(console, 'log');
+
+				var cliInstance = new cli.CLI(
+					{
+						args: [],
+						flags: {
+							format: 'json'
+						},
+						logger: new Logger.constructor()
+					}
+				);
+
+				cliInstance.log('Deprecated');
+
+				assert.isTrue(error.calledWith('Deprecated'));
+				assert.isTrue(log.notCalled, 'console.log should not have been called');
+			}
+		);
+
+		it(
+			'should log general errors properly',
+			function() {
+				var log = sandbox.spy();
+
+				var cliInstance = new cli.CLI(
+					{
+						args: [],
+						log: log,
+						logger: new Logger.constructor()
+					}
+				);
+
+				cliInstance.logGeneralError(new Error('Something general happened....'));
+
+				assert.isTrue(log.calledOnce, 'log should have been called once, it was instead called ' + log.callCount + ' times');
+				assert.startsWith(log.args[0][0], 'Something went wrong');
+			}
+		);
+
+		it(
+			'should set the exit code for general errors',
+			function() {
+				var cliInstance = new cli.CLI(
+					{
+						args: [],
+						log: _.noop,
+						logger: new Logger.constructor()
+					}
+				);
+
+				assert.equal(cliInstance.getExitCode(), cli.CLI.EXIT_OK);
+
+				cliInstance.logGeneralError(new Error('Something general happened....'));
+
+				assert.equal(cliInstance.getExitCode(), cli.CLI.EXIT_ERROR);
+			}
+		);
+
+		it(
+			'should set the exit code for files that could not be read',
+			function() {
+				sandbox.stub(fs, 'readFile').callsFake(invalidContentStub);
+
+				var cliInstance = new cli.CLI(
+					{
+						args: ['missing.js'],
+						flags: {
+							config: false
+						},
+						log: _.noop,
+						logger: new Logger.constructor()
+					}
+				);
+
+				return cliInstance.init().then(
+					function() {
+						assert.equal(cliInstance.getExitCode(), cli.CLI.EXIT_ERROR);
+					}
+				);
+			}
+		);
+
+		it(
+			'should set the exit code for violations',
+			function() {
+				sandbox.stub(fs, 'readFile').callsFake(invalidContentStub);
+
+				var cliInstance = new cli.CLI(
+					{
+						args: ['foo.js'],
+						log: _.noop,
+						logger: new Logger.constructor()
+					}
+				);
+
+				return cliInstance.init().then(
+					function() {
+						assert.equal(cliInstance.getExitCode(), cli.CLI.EXIT_VIOLATIONS);
+					}
+				);
+			}
+		);
+
+		it(
+			'should allow warnings up to max warnings',
+			function() {
+				var logger = new Logger.constructor();
+
+				var cliInstance = new cli.CLI(
+					{
+						args: [],
+						flags: {
+							maxWarnings: 2
+						},
+						log: _.noop,
+						logger: logger
+					}
+				);
+
+				var warning = {
+					severity: 'warning'
+				};
+
+				logger.log(1, 'Content is not valid', 'foo.js', 'foo', warning);
+				logger.log(2, 'Content is not valid', 'foo.js', 'foo', warning);
+
+				assert.equal(cliInstance.getExitCode(), cli.CLI.EXIT_OK);
+
+				logger.log(3, 'Content is not valid', 'foo.js', 'foo', warning);
+
+				assert.equal(cliInstance.getExitCode(), cli.CLI.EXIT_VIOLATIONS);
+			}
+		);
+
+		it(
+			'should not count errors against max warnings',
+			function() {
+				var logger = new Logger.constructor();
+
+				var cliInstance = new cli.CLI(
+					{
+						args: [],
+						flags: {
+							maxWarnings: 2
+						},
+						log: _.noop,
+						logger: logger
+					}
+				);
+
+				logger.log(1, 'Content is not valid', 'foo.js');
+
+				assert.equal(cliInstance.getExitCode(), cli.CLI.EXIT_VIOLATIONS);
+			}
+		);
+
+		it(
+			'should not fail a run with only warnings',
+			function() {
+				var logger = new Logger.constructor();
+
+				var cliInstance = new cli.CLI(
+					{
+						args: [],
+						flags: {
+							maxWarnings: -1
+						},
+						log: _.noop,
+						logger: logger
+					}
+				);
+
+				logger.log(
+					1,
+					'Content is not valid',
+					'foo.js',
+					'foo',
+					{
+						severity: 'warning'
+					}
+				);
+
+				assert.equal(cliInstance.getExitCode(), cli.CLI.EXIT_OK);
+			}
+		);
+
+		it(
+			'should open files properly',
+			function() {
+				sandbox.stub(fs, 'readFile').callsFake(invalidContentStub);
+
+				var cliModule = require('cli');
+
+				sandbox.stub(cliModule, 'exec').callsFake(
+					function(command, callback) {
+						if (callback) {
+							callback(['sublime']);
+						}
+					}
+				);
+
+				var log = sandbox.spy();
+
+				var cliInstance = new cli.CLI(
+					{
+						args: ['foo.js'],
+						flags: {
+							open: true
+						},
+						log: log,
+						logger: new Logger.constructor()
+					}
+				);
+
+				return cliInstance.init().then(
+					function() {
+						assert.isTrue(log.calledOnce, 'log should have been called only once, it was instead called ' + log.callCount + ' times');
+						assert.isTrue(cliModule.exec.calledTwice, 'cliModule.exec should have been called 2 times, it was instead called ' + cliModule.exec.callCount + ' times');
+					}
+				);
+			}
+		);
+
+		it(
+			'should not log without arguments',
+			function() {
+				sandbox.stub(fs, 'readFile').callsFake(invalidContentStub);
+
+				var cliModule = require('cli');
+
+				sandbox.stub(cliModule, 'exec').callsFake(
+					function(command, callback) {
+						if (callback) {
+							callback(['sublime']);
+						}
+					}
+				);
+
+				var log = sandbox.spy();
+
+				var cliInstance = new cli.CLI(
+					{
+						args: [],
+						flags: {
+							open: true
+						},
+						log: log,
+						logger: new Logger.constructor()
+					}
+				);
+
+				cliInstance.init();
+
+				assert.isTrue(log.notCalled, 'log should not have been called, it was instead called ' + log.callCount + ' times');
+				assert.isTrue(cliModule.exec.notCalled, 'cliModule.exec should not have been called, it was instead called ' + cliModule.exec.callCount + ' times');
+			}
+		);
+
+		it(
+			'should not log files without errors when quiet is set',
+			function() {
+				sandbox.stub(fs, 'readFile').callsFake(validContentStub);
+
+				var log = sandbox.spy();
+
+				var logger = new Logger.constructor();
+
+				var filterFileErrors = sandbox.spy(logger, 'filterFileErrors');
+
+				var cliInstance = new cli.CLI(
+					{
+						args: ['bar.html'],
+						flags: {
+							// config: false,
+							quiet: true,
+						},
+						log: log,
+						logger: logger
+					}
+				);
+
+				var spy = sandbox.spy(cliInstance, '_loadConfigs');
+
+				return cliInstance.init().then(
+					function() {
+						assert.isTrue(log.notCalled, 'log should not have been called');
+						assert.isTrue(filterFileErrors.called, 'filterFileErrors should have been called');
+					}
+				);
+			}
+		);
+
+		it(
+			'should not log warnings when quietWarnings is set',
+			function() {
+				var logger = new Logger.constructor();
+
+				logger.log(1, 'Has error', 'foo.js', 'error');
+				logger.log(
+					2,
+					'Has warning',
+					'foo.js',
+					'foo',
+					{
+						severity: 'warning'
+					}
+				);
+
+				var cliInstance = new cli.CLI(
+					{
+						args: ['foo.js'],
+						flags: {
+							quietWarnings: true
+						},
+						log: sandbox.spy(),
+						logger: logger
+					}
+				);
+
+				var out = cliInstance.renderOutput('foo.js');
+
+				assert.include(out, 'Line 1: Has error');
+				assert.notInclude(out, 'Has warning');
+				assert.equal(logger.testStats.warnings, 0);
+				assert.equal(cliInstance.getExitCode(), cli.CLI.EXIT_VIOLATIONS);
+			}
+		);
+
+		it(
+			'should render a code frame when codeFrame is set',
+			function() {
+				var log = sandbox.spy();
+
+				var cliInstance = new cli.CLI(
+					{
+						args: ['foo.js'],
+						flags: {
+							codeFrame: true,
+							config: false
+						},
+						log: log,
+						logger: new Logger.constructor(),
+						read: function() {
+							return Promise.resolve('var a = 1;\n\nalert( a);');
+						}
+					}
+				);
+
+				return cliInstance.init().then(
+					function() {
+						assert.include(log.args[0][0], '    > 3 | alert( a);\n        |      ^\n');
+					}
+				);
+			}
+		);
+
+		it(
+			'should group the output by rule when groupBy is rule',
+			function() {
+				var files = {
+					'bar.js': 'alert(y);',
+					'foo.js': 'alert(x);'
+				};
+
+				var log = sandbox.spy();
+
+				var cliInstance = new cli.CLI(
+					{
+						args: ['foo.js', 'bar.js'],
+						flags: {
+							config: false,
+							groupBy: 'rule'
+						},
+						log: log,
+						logger: new Logger.constructor(),
+						read: function(file) {
+							return Promise.resolve(files[file]);
+						}
+					}
+				);
+
+				return cliInstance.init().then(
+					function() {
+						sinon.assert.calledOnce(log);
+
+						var out = log.args[0][0];
+
+						assert.startsWith(out, 'Rule: no-undef');
+						assert.include(out, 'bar.js Line 1: \'y\' is not defined.');
+						assert.include(out, 'foo.js Line 1: \'x\' is not defined.');
+					}
+				);
+			}
+		);
+
+		it(
+			'should log the stats of each formatter when stats is set',
+			function() {
+				var files = {
+					'foo.css': 'a{color:#FFF;}',
+					'foo.js': 'alert(x);'
+				};
+
+				var log = sandbox.spy();
+
+				var cliInstance = new cli.CLI(
+					{
+						args: ['foo.js', 'foo.css'],
+						flags: {
+							config: false,
+							stats: true
+						},
+						log: log,
+						logger: new Logger.constructor(),
+						read: function(file) {
+							return Promise.resolve(files[file]);
+						}
+					}
+				);
+
+				return cliInstance.init().then(
+					function() {
+						var out = log.lastCall.args[0];
+
+						assert.match(out, /^no-undef +1 +0$/m);
+						assert.match(out, /^js +1 +0$/m);
+						assert.match(out, /^css +\d+ +0$/m);
+					}
+				);
+			}
+		);
+
+		it(
+			'should count the HTML fixes in the stats',
+			function() {
+				var log = sandbox.spy();
+
+				var cliInstance = new cli.CLI(
+					{
+						args: ['foo.jsp'],
+						flags: {
+							config: false,
+							stats: true
+						},
+						log: log,
+						logger: new Logger.constructor(),
+						read: function(file) {
+							return Promise.resolve('<span id="x" class="b a"></span>');
+						}
+					}
+				);
+
+				return cliInstance.init().then(
+					function() {
+						var out = log.lastCall.args[0];
+
+						assert.match(out, /^csf\/html\/sort-attributes +1 +1$/m);
+						assert.match(out, /^csf\/html\/sort-attribute-values +1 +1$/m);
+					}
+				);
+			}
+		);
+
+		it(
+			'should add the git blame of each line when blame is set',
+			function() {
+				var blame = {
+					author: 'Jane Doe',
+					commit: 'a1b2c3d4',
+					date: '2017-07-14T02:40:00.000Z',
+					email: 'jane@example.com'
+				};
+
+				var gitStub = {
+					getBlame: sandbox.stub().returns(
+						Promise.resolve(
+							{
+								1: blame
+							}
+						)
+					)
+				};
+
+				var log = sandbox.spy();
+
+				var logger = new Logger.constructor();
+
+				var cliInstance = new cli.CLI(
+					{
+						args: ['foo.js'],
+						cwd: '/home/liferay/portal',
+						flags: {
+							blame: true,
+							config: false
+						},
+						git: gitStub,
+						log: log,
+						logger: logger,
+						read: function() {
+							return Promise.resolve('alert(x);\nalert(y);');
+						}
+					}
+				);
+
+				return cliInstance.init().then(
+					function() {
+						var errors = logger.getErrors('foo.js');
+
+						assert.equal(gitStub.getBlame.args[0][0], '/home/liferay/portal/foo.js');
+						assert.deepEqual(_.find(errors, ['line', 1]).blame, blame);
+						assert.isUndefined(_.find(errors, ['line', 2]).blame, 'Lines without a blame should be left alone');
+						assert.include(log.args[0][0], 'Line 1: \'x\' is not defined. (Jane Doe)');
+					}
+				);
+			}
+		);
+
+		it(
+			'should group the output by author when groupBy is author',
+			function() {
+				var gitStub = {
+					getBlame: sandbox.stub().callsFake(
+						function() {
+							return Promise.reject(new Error('fatal: no such path in HEAD'));
+						}
+					)
+				};
+
+				var log = sandbox.spy();
+
+				var cliInstance = new cli.CLI(
+					{
+						args: ['foo.js'],
+						flags: {
+							config: false,
+							groupBy: 'author'
+						},
+						git: gitStub,
+						log: log,
+						logger: new Logger.constructor(),
+						read: function() {
+							return Promise.resolve('alert(x);');
+						}
+					}
+				);
+
+				return cliInstance.init().then(
+					function() {
+						sinon.assert.calledOnce(gitStub.getBlame);
+						sinon.assert.calledOnce(log);
+
+						assert.startsWith(log.args[0][0], 'Author: Unknown');
+						assert.include(log.args[0][0], 'foo.js Line 1: \'x\' is not defined.');
+					}
+				);
+			}
+		);
+
+		it(
+			'should log the slowest rules when timing is set',
+			function() {
+				var log = sandbox.spy();
+
+				var cliInstance = new cli.CLI(
+					{
+						args: ['foo.js'],
+						flags: {
+							config: false,
+							timing: true
+						},
+						log: log,
+						logger: new Logger.constructor(),
+						read: function() {
+							return Promise.resolve('alert(x);');
+						}
+					}
+				);
+
+				return cliInstance.init().then(
+					function() {
+						var lines = log.lastCall.args[0].split('\n');
+
+						assert.match(lines[0], /^Rule +Type +Time \(ms\) +Relative$/);
+						assert.lengthOf(lines, 11);
+					}
+				).finally(
+					function() {
+						timing.enabled = false;
+						timing.reset();
+					}
+				);
 			}
 		);
 
 		it(
-			'should not log files without errors when quiet is set',
+			'should skip suppressed errors and report unused directives',
 			function() {
-				sandbox.stub(fs, 'readFile').callsFake(validContentStub);
+				var contents = [
+					'// csf-disable-next-line no-unused-vars',
+					'var a = 1;',
+					'',
+					'// csf-disable-next-line no-undef',
+					'var b = 2;'
+				].join('\n');
+
+				var logger = new Logger.constructor();
+
+				var cliInstance = new cli.CLI(
+					{
+						args: ['foo.js'],
+						flags: {
+							config: false,
+							reportUnusedDisableDirectives: true
+						},
+						log: sandbox.spy(),
+						logger: logger,
+						read: function() {
+							return Promise.resolve(contents);
+						}
+					}
+				);
+
+				return cliInstance.init().then(
+					function() {
+						var errors = logger.getErrors('foo.js');
+
+						var unusedDirectives = _.filter(errors, ['ruleId', 'csf/unused-disable-directive']);
+						var unusedVars = _.filter(errors, ['ruleId', 'no-unused-vars']);
+
+						assert.lengthOf(unusedDirectives, 1);
+						assert.equal(unusedDirectives[0].line, 4);
+						assert.equal(unusedDirectives[0].msg, 'Unused csf-disable-next-line directive (no problems were reported from no-undef)');
+
+						assert.lengthOf(unusedVars, 1);
+						assert.equal(unusedVars[0].line, 5);
+					}
+				);
+			}
+		);
+
+		it(
+			'should not fix suppressed lines',
+			function() {
+				var contents = [
+					'<div class="foo">',
+					'<%-- csf-disable-next-line --%>',
+					'<span id="x" class="b a"></span>',
+					'<p>Foo</p>',
+					'<span id="y" class="d c"></span>',
+					'</div>'
+				].join('\n');
+
+				var write = sandbox.stub().returns(Promise.resolve());
+
+				var cliInstance = new cli.CLI(
+					{
+						args: ['foo.jsp'],
+						flags: {
+							config: false,
+							inlineEdit: true
+						},
+						log: sandbox.spy(),
+						logger: new Logger.constructor(),
+						read: function() {
+							return Promise.resolve(contents);
+						},
+						write: write
+					}
+				);
+
+				return cliInstance.init().then(
+					function() {
+						var lines = write.args[0][1].split('\n');
+
+						assert.equal(lines[2], '<span id="x" class="b a"></span>', 'The suppressed line should be left as it was');
+						assert.equal(lines[4], '<span class="c d" id="y"></span>');
+					}
+				);
+			}
+		);
+
+		it(
+			'should only report violations that are not in the baseline',
+			function() {
+				var baselinePath = path.join(process.cwd(), 'csf-baseline.json');
+
+				var files = {};
+
+				var read = function(filePath) {
+					var contents = files[filePath];
+
+					return _.isUndefined(contents) ? Promise.reject(new Error('ENOENT')) : Promise.resolve(contents);
+				};
+
+				var write = function(filePath, contents) {
+					files[filePath] = contents;
+
+					return Promise.resolve();
+				};
+
+				files['foo.js'] = 'var a = 1;\n\nvar b = 2;';
+
+				var writeLogger = new Logger.constructor();
+
+				var writeInstance = new cli.CLI(
+					{
+						args: ['foo.js'],
+						flags: {
+							config: false,
+							writeBaseline: 'csf-baseline.json'
+						},
+						log: sandbox.spy(),
+						logger: writeLogger,
+						read: read,
+						write: write
+					}
+				);
+
+				return writeInstance.init().then(
+					function() {
+						var writtenErrors = writeLogger.getErrors('foo.js');
+
+						assert.isAbove(writtenErrors.length, 1);
+						assert.lengthOf(JSON.parse(files[baselinePath]).files['foo.js'], writtenErrors.length);
+
+						files['foo.js'] = 'var b = 2;\n\nvar c = 3;';
+
+						var log = sandbox.spy();
+						var logger = new Logger.constructor();
+
+						var cliInstance = new cli.CLI(
+							{
+								args: ['foo.js'],
+								flags: {
+									baseline: 'csf-baseline.json',
+									config: false
+								},
+								log: log,
+								logger: logger,
+								read: read,
+								write: write
+							}
+						);
+
+						return cliInstance.init().then(
+							function() {
+								var errors = logger.getErrors('foo.js');
+
+								assert.lengthOf(errors, 2);
+								assert.include(errors[0].msg, '\'c\'');
+								assert.include(errors[1].msg, 'var c = 3;');
+
+								assert.isTrue(log.calledWith(sinon.match('2 violation(s) in the baseline have since been fixed')));
+							}
+						);
+					}
+				);
+			}
+		);
 
+		it(
+			'should write a formatted report instead of the output',
+			function() {
 				var log = sandbox.spy();
 
-				var logger = new Logger.constructor();
+				var stdout = {
+					write: sandbox.spy()
+				};
 
-				var filterFileErrors = sandbox.spy(logger, 'filterFileErrors');
+				var cliInstance = new cli.CLI(
+					{
+						args: ['foo.js'],
+						flags: {
+							config: false,
+							format: 'json'
+						},
+						log: log,
+						logger: new Logger.constructor(),
+						read: function() {
+							return Promise.resolve('var a = 1;');
+						},
+						stdout: stdout
+					}
+				);
+
+				return cliInstance.init().then(
+					function() {
+						var results = JSON.parse(stdout.write.args[0][0]);
+
+						assert.isTrue(log.notCalled, 'log should not have been called, it was instead called ' + log.callCount + ' times');
+						assert.equal(results[0].file, 'foo.js');
+						assert.include(_.map(results[0].messages, 'ruleId'), 'no-unused-vars');
+					}
+				);
+			}
+		);
+
+		it(
+			'should write a formatted report to a file',
+			function() {
+				var log = sandbox.spy();
+
+				var write = sandbox.stub().returns(Promise.resolve());
 
 				var cliInstance = new cli.CLI(
 					{
-						args: ['bar.html'],
+						args: ['foo.js'],
 						flags: {
-							// config: false,
-							quiet: true,
+							config: false,
+							format: 'json',
+							outputFile: 'report.json'
 						},
 						log: log,
-						logger: logger
+						logger: new Logger.constructor(),
+						read: function() {
+							return Promise.resolve('var a = 1;');
+						},
+						write: write
 					}
 				);
 
-				var spy = sandbox.spy(cliInstance, '_loadConfigs');
+				return cliInstance.init().then(
+					function() {
+						assert.isTrue(log.calledWith(sinon.match('never used')), 'The output should still be logged');
+						assert.equal(write.args[0][0], path.resolve('report.json'));
+						assert.equal(JSON.parse(write.args[0][1])[0].file, 'foo.js');
+					}
+				);
+			}
+		);
+
+		it(
+			'should report paths from the repository root for changed files',
+			function() {
+				var root = path.join(process.cwd(), 'home', 'liferay', 'portal');
+
+				var gitStub = {
+					getChangedFiles: sandbox.stub().returns(Promise.resolve(['modules/foo.js'])),
+					getRoot: sandbox.stub().returns(Promise.resolve(root)),
+					getUntrackedFiles: sandbox.stub().returns(Promise.resolve([]))
+				};
+
+				var stdout = {
+					write: sandbox.spy()
+				};
+
+				var cliInstance = new cli.CLI(
+					{
+						args: [],
+						cwd: path.join(root, 'modules'),
+						flags: {
+							changedSince: 'master',
+							config: false,
+							format: 'gitlab'
+						},
+						git: gitStub,
+						log: _.noop,
+						logger: new Logger.constructor(),
+						read: function() {
+							return Promise.resolve('var a = 1;');
+						},
+						stdout: stdout
+					}
+				);
 
 				return cliInstance.init().then(
 					function() {
-						assert.isTrue(log.notCalled, 'log should not have been called');
-						assert.isTrue(filterFileErrors.called, 'filterFileErrors should have been called');
+						var issues = JSON.parse(stdout.write.args[0][0]);
+
+						var issue = _.find(issues, ['check_name', 'no-unused-vars']);
+
+						assert.equal(issue.location.path, 'modules/foo.js');
+					}
+				);
+			}
+		);
+
+		it(
+			'should log an error for missing reporters',
+			function() {
+				var log = sandbox.spy();
+
+				var cliInstance = new cli.CLI(
+					{
+						args: ['foo.js'],
+						flags: {
+							config: false,
+							format: 'does-not-exist',
+							outputFile: 'report.json'
+						},
+						log: log,
+						logger: new Logger.constructor(),
+						read: function() {
+							return Promise.resolve('');
+						}
+					}
+				);
+
+				return cliInstance.init().then(
+					function() {
+						assert.isTrue(log.calledWith(sinon.match('Could not find the "does-not-exist" reporter')));
+						assert.equal(cliInstance.getExitCode(), cli.CLI.EXIT_ERROR);
+					}
+				);
+			}
+		);
+
+		it(
+			'should pass the time and config of each file to the reports',
+			function() {
+				var cwd = path.join(__dirname, 'fixture', 'config', 'rules');
+
+				var junitReporter = require('../lib/junit');
+
+				var generate = sandbox.stub(junitReporter.prototype, 'generate').returns(Promise.resolve());
+
+				var cliInstance = new cli.CLI(
+					{
+						args: ['foo.js'],
+						cwd: cwd,
+						flags: {
+							config: true,
+							junit: true
+						},
+						log: _.noop,
+						logger: new Logger.constructor(),
+						read: function() {
+							return Promise.resolve('var a = 1;');
+						}
+					}
+				);
+
+				return cliInstance.init().then(
+					function() {
+						var files = generate.firstCall.thisValue.files;
+
+						assert.equal(files[0].configPath, path.join(cwd, 'csf.config.js'));
+						assert.isAtLeast(files[0].time, 0);
 					}
 				);
 			}
@@ -765,6 +2587,51 @@ describe(
 			}
 		);
 
+		it(
+			'should log config errors',
+			function() {
+				var fileDir = path.join(__dirname, 'fixture/config/bad_config');
+
+				sandbox.stub(fs, 'readFile').callsFake(
+					function(filePath, encoding, callback) {
+						if (filePath === path.join(fileDir, 'package.json')) {
+							callback(null, '{"csfConfig": {');
+						}
+						else {
+							invalidContentStub(filePath, encoding, callback);
+						}
+					}
+				);
+
+				var log = sandbox.spy();
+
+				var cliInstance = new cli.CLI(
+					{
+						args: [path.join(fileDir, 'foo.js'), path.join(fileDir, 'bar.js')],
+						log: log,
+						logger: new Logger.constructor(),
+						read: function() {
+							return Promise.resolve('');
+						}
+					}
+				);
+
+				return cliInstance.init().then(
+					function() {
+						var configLogs = log.args.filter(
+							function(item, index) {
+								return item[0].indexOf('Could not load config for') > -1;
+							}
+						);
+
+						assert.lengthOf(configLogs, 1, 'Config errors should only be logged once per directory');
+						assert.include(configLogs[0][0], 'JSON Error in');
+						assert.equal(cliInstance.getExitCode(), cli.CLI.EXIT_CONFIG_ERROR);
+					}
+				);
+			}
+		);
+
 		it(
 			'should handle config logging',
 			function() {
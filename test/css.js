@@ -224,6 +224,45 @@ describe(
 				).done(done);
 			}
 		);
+
+		it(
+			'should log the severity of lint results',
+			function() {
+				var testFilePath = path.join(__dirname, 'fixture', 'css', 'at_rule_empty_line.css');
+
+				var cssLoggerSeverity = new Logger.constructor();
+				var cssFormatterSeverity = new Formatter.CSS(testFilePath, cssLoggerSeverity);
+
+				cssFormatterSeverity._logLintResults(
+					[
+						{
+							warnings: [
+								{
+									column: 1,
+									line: 1,
+									rule: 'foo',
+									severity: 'warning',
+									text: 'Foo (foo)'
+								},
+								{
+									column: 1,
+									line: 2,
+									rule: 'bar',
+									severity: 'error',
+									text: 'Bar (bar)'
+								}
+							]
+						}
+					]
+				);
+
+				var errors = cssLoggerSeverity.getErrors(testFilePath);
+
+				assert.equal(errors[0].msg, 'Foo');
+				assert.equal(errors[0].severity, 'warning');
+				assert.equal(errors[1].severity, 'error');
+			}
+		);
 	}
 );
 
@@ -1,5 +1,6 @@
 var chai = require('chai');
 var path = require('path');
+var stream = require('stream');
 
 var sub = require('string-sub');
 var File = require('../lib/file');
@@ -42,5 +43,21 @@ describe(
 				assert.equal(File.handleFileWriteError(permissionsFileErr, '<input>'), 'Can\'t write to <input> (no file name provided): <input>');
 			}
 		);
+
+		it(
+			'should read a stream',
+			function() {
+				var input = new stream.PassThrough();
+
+				input.write('foo\n');
+				input.end('bar');
+
+				return File.readStream(input).then(
+					function(contents) {
+						assert.equal(contents, 'foo\nbar');
+					}
+				);
+			}
+		);
 	}
 );
\ No newline at end of file
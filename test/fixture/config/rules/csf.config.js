@@ -0,0 +1,12 @@
+module.exports = {
+	rules: {
+		'csf/js/invalid-conditional': 'warn',
+		'csf/js/var-line-spacing': 'off'
+	},
+
+	'path:**/bar.js': {
+		rules: {
+			'csf/js/var-line-spacing': 2
+		}
+	}
+};
\ No newline at end of file
@@ -0,0 +1,3 @@
+module.exports = {
+	ignore: ['generated/']
+};
\ No newline at end of file
@@ -0,0 +1 @@
+var a = 1;
\ No newline at end of file
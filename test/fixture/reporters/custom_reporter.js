@@ -0,0 +1,7 @@
+module.exports = function(results, flags) {
+	return results.map(
+		function(item) {
+			return item.file + ': ' + item.messages.length;
+		}
+	).join('\n');
+};
\ No newline at end of file
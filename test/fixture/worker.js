@@ -0,0 +1,34 @@
+process.on(
+	'message',
+	function(message) {
+		var options = message.options;
+
+		if (options.exit) {
+			process.exit(options.exit);
+		}
+		else if (options.error) {
+			process.send(
+				{
+					error: options.error,
+					id: message.id
+				}
+			);
+		}
+		else {
+			setTimeout(
+				function() {
+					process.send(
+						{
+							id: message.id,
+							result: {
+								pid: process.pid,
+								value: options.value * 2
+							}
+						}
+					);
+				},
+				options.delay || 0
+			);
+		}
+	}
+);
\ No newline at end of file
@@ -42,5 +42,45 @@ describe(
 				);
 			}
 		);
+
+		it(
+			'should configure engine rules by path',
+			function() {
+				var cwd = path.join(__dirname, 'fixture/config/rules');
+
+				var contents = 'var x = 1;\nif (x){\n}';
+
+				return (new Config.Loader).load(cwd).then(
+					function(config) {
+						var rulesLogger = new Logger.constructor();
+
+						['foo.js', 'bar.js'].forEach(
+							function(item, index) {
+								var formatter = Formatter.get(item, rulesLogger, {});
+
+								formatter._config = config;
+
+								formatter.format(contents, false);
+							}
+						);
+
+						var fooErrors = rulesLogger.getErrors('foo.js');
+						var barErrors = rulesLogger.getErrors('bar.js');
+
+						assert.lengthOf(fooErrors, 1);
+						assert.equal(fooErrors[0].ruleId, 'csf/js/invalid-conditional');
+						assert.equal(fooErrors[0].severity, 'warning');
+
+						assert.lengthOf(barErrors, 2);
+						assert.equal(barErrors[0].ruleId, 'csf/js/var-line-spacing');
+						assert.equal(barErrors[0].severity, 'error');
+
+						assert.include(rulesLogger.getRules('foo.js'), 'csf/js/invalid-conditional');
+						assert.notInclude(rulesLogger.getRules('foo.js'), 'csf/js/var-line-spacing', 'Rules that are turned off should not be listed');
+						assert.include(rulesLogger.getRules('bar.js'), 'csf/js/var-line-spacing');
+					}
+				);
+			}
+		);
 	}
 );
\ No newline at end of file
@@ -0,0 +1,295 @@
+var chai = require('chai');
+var childProcess = require('child_process');
+var sinon = require('sinon');
+
+var git = require('../lib/git');
+
+chai.use(require('chai-string'));
+
+var assert = chai.assert;
+
+describe(
+	'Git',
+	function() {
+		'use strict';
+
+		var sandbox;
+
+		beforeEach(
+			function() {
+				sandbox = sinon.sandbox.create();
+			}
+		);
+
+		afterEach(
+			function() {
+				sandbox.restore();
+			}
+		);
+
+		it(
+			'should get the repository root',
+			function() {
+				sandbox.stub(childProcess, 'execFile').callsArgWith(3, null, '/home/liferay/portal\n');
+
+				return git.getRoot('/home/liferay/portal/modules').then(
+					function(root) {
+						assert.equal(root, '/home/liferay/portal');
+						assert.deepEqual(childProcess.execFile.args[0][1], ['rev-parse', '--show-toplevel']);
+						assert.equal(childProcess.execFile.args[0][2].cwd, '/home/liferay/portal/modules');
+					}
+				);
+			}
+		);
+
+		it(
+			'should get the files changed since a ref',
+			function() {
+				sandbox.stub(childProcess, 'execFile').callsArgWith(3, null, 'foo.js\0bar/baz.css\0');
+
+				return git.getChangedFiles(
+					{
+						cwd: '/home/liferay/portal',
+						ref: 'master'
+					}
+				).then(
+					function(files) {
+						var args = childProcess.execFile.args[0][1];
+
+						assert.deepEqual(files, ['foo.js', 'bar/baz.css']);
+						assert.include(args, '--diff-filter=ACMR');
+						assert.include(args, 'master');
+						assert.notInclude(args, '--cached');
+					}
+				);
+			}
+		);
+
+		it(
+			'should get the staged files',
+			function() {
+				sandbox.stub(childProcess, 'execFile').callsArgWith(3, null, '');
+
+				return git.getChangedFiles(
+					{
+						cwd: '/home/liferay/portal',
+						staged: true
+					}
+				).then(
+					function(files) {
+						assert.deepEqual(files, []);
+						assert.include(childProcess.execFile.args[0][1], '--cached');
+					}
+				);
+			}
+		);
+
+		it(
+			'should parse the changed lines out of a diff',
+			function() {
+				var diff = [
+					'diff --git foo.js foo.js',
+					'--- foo.js',
+					'+++ foo.js',
+					'@@ -3 +3 @@ var a = 1;',
+					'-var b = 2;',
+					'+var b = 3;',
+					'@@ -10,0 +11,2 @@',
+					'+var c = 4;',
+					'+var d = 5;',
+					'@@ -20,2 +22,0 @@',
+					'-var e = 6;',
+					'-var f = 7;',
+					'diff --git bar.css bar.css',
+					'deleted file mode 100644',
+					'--- bar.css',
+					'+++ /dev/null',
+					'@@ -1 +0,0 @@',
+					'-a {}'
+				].join('\n');
+
+				assert.deepEqual(
+					git.parseDiff(diff),
+					{
+						'foo.js': [[3, 3], [11, 12]]
+					}
+				);
+			}
+		);
+
+		it(
+			'should not mistake changed lines for the header of a file',
+			function() {
+				var diff = [
+					'--- foo.js',
+					'+++ foo.js',
+					'@@ -2 +2,2 @@',
+					'--- a;',
+					'+++ b;',
+					'++ c;',
+					'\\ No newline at end of file',
+					'@@ -10,0 +11 @@',
+					'+d;'
+				].join('\n');
+
+				assert.deepEqual(
+					git.parseDiff(diff),
+					{
+						'foo.js': [[2, 3], [11, 11]]
+					}
+				);
+			}
+		);
+
+		it(
+			'should parse the path of a file with spaces in it',
+			function() {
+				var diff = '--- sp ace.css\t\n+++ sp ace.css\t\n@@ -2 +2 @@\n';
+
+				assert.deepEqual(
+					git.parseDiff(diff),
+					{
+						'sp ace.css': [[2, 2]]
+					}
+				);
+			}
+		);
+
+		it(
+			'should parse the quoted path of a file with unusual characters in it',
+			function() {
+				var diff = [
+					'--- "caf\\303\\251.css"',
+					'+++ "caf\\303\\251.css"',
+					'@@ -2 +2,2 @@',
+					'-a {}',
+					'+b {}',
+					'+c {}',
+					'--- "a\\"b\\\\c.css"',
+					'+++ "a\\"b\\\\c.css"',
+					'@@ -1 +1 @@',
+					'-a {}',
+					'+b {}'
+				].join('\n');
+
+				assert.deepEqual(
+					git.parseDiff(diff),
+					{
+						'a"b\\c.css': [[1, 1]],
+						'caf\u00e9.css': [[2, 3]]
+					}
+				);
+			}
+		);
+
+		it(
+			'should get the changed lines since a ref',
+			function() {
+				sandbox.stub(childProcess, 'execFile').callsArgWith(3, null, '--- foo.js\n+++ foo.js\n@@ -1 +1,2 @@\n');
+
+				return git.getChangedLines(
+					{
+						cwd: '/home/liferay/portal',
+						ref: 'master',
+						staged: true
+					}
+				).then(
+					function(changedLines) {
+						var args = childProcess.execFile.args[0][1];
+
+						assert.deepEqual(changedLines, {'foo.js': [[1, 2]]});
+						assert.include(args, '-U0');
+						assert.include(args, '--cached');
+						assert.include(args, 'master');
+					}
+				);
+			}
+		);
+
+		it(
+			'should parse the blame of each line',
+			function() {
+				var commit = 'a1b2c3d4e5f6a1b2c3d4e5f6a1b2c3d4e5f6a1b2';
+
+				var blame = [
+					`${commit} 1 1 2`,
+					'author Jane Doe',
+					'author-mail <jane@example.com>',
+					'author-time 1500000000',
+					'author-tz +0000',
+					'committer Jane Doe',
+					'summary Add foo',
+					'filename foo.js',
+					'\tvar a = 1;',
+					`${commit} 2 2`,
+					'author Jane Doe',
+					'author-mail <jane@example.com>',
+					'author-time 1500000000',
+					'author-tz +0000',
+					'filename foo.js',
+					'\tauthor-time 0'
+				].join('\n');
+
+				var line = {
+					author: 'Jane Doe',
+					commit,
+					date: '2017-07-14T02:40:00.000Z',
+					email: 'jane@example.com'
+				};
+
+				assert.deepEqual(
+					git.parseBlame(blame),
+					{
+						1: line,
+						2: line
+					}
+				);
+			}
+		);
+
+		it(
+			'should get the blame from the directory of the file',
+			function() {
+				sandbox.stub(childProcess, 'execFile').callsArgWith(3, null, '');
+
+				return git.getBlame('/home/liferay/portal/foo.js').then(
+					function(blame) {
+						assert.deepEqual(blame, {});
+						assert.deepEqual(childProcess.execFile.args[0][1], ['blame', '--line-porcelain', '--', 'foo.js']);
+						assert.equal(childProcess.execFile.args[0][2].cwd, '/home/liferay/portal');
+					}
+				);
+			}
+		);
+
+		it(
+			'should get the untracked files',
+			function() {
+				sandbox.stub(childProcess, 'execFile').callsArgWith(3, null, 'new.js\0');
+
+				return git.getUntrackedFiles('/home/liferay/portal').then(
+					function(files) {
+						assert.deepEqual(files, ['new.js']);
+						assert.include(childProcess.execFile.args[0][1], '--others');
+					}
+				);
+			}
+		);
+
+		it(
+			'should reject when git fails',
+			function() {
+				sandbox.stub(childProcess, 'execFile').callsArgWith(3, new Error('fatal: not a git repository'));
+
+				return git.getRoot('/tmp').then(
+					function() {
+						assert.fail('getRoot should have been rejected');
+					},
+					function(err) {
+						assert.startsWith(err.message, 'fatal: not a git repository');
+					}
+				);
+			}
+		);
+	}
+);
\ No newline at end of file
@@ -53,6 +53,31 @@ describe(
 			}
 		);
 
+		it(
+			'should give the attribute rules ids',
+			function() {
+				assert.equal(_.find(htmlErrors, ['line', 8]).ruleId, 'csf/html/sort-attribute-values');
+				assert.equal(_.find(htmlErrors, ['line', 12]).ruleId, 'csf/html/sort-attributes');
+			}
+		);
+
+		it(
+			'should give the column of each attribute check',
+			function() {
+				assert.equal(_.find(htmlErrors, ['line', 8]).column, 7);
+				assert.equal(_.find(htmlErrors, ['line', 12]).column, 16);
+				assert.equal(_.find(htmlErrors, ['line', 16]).column, 29, 'Scriptlets before the attribute should be counted');
+			}
+		);
+
+		it(
+			'should give the column of engine rule matches',
+			function() {
+				assert.equal(_.find(htmlErrors, ['line', 21]).column, 6);
+				assert.equal(_.find(htmlErrors, ['line', 23]).column, 1);
+			}
+		);
+
 		it(
 			'should detect unsorted attributes',
 			function() {
@@ -108,6 +108,69 @@ describe(
 			}
 		);
 
+		it(
+			'should log the severity of lint results and whether they are fixable',
+			function() {
+				var jsLoggerSeverity = new Logger.constructor();
+				var jsFormatterSeverity = new Formatter.JS(testFilePath, jsLoggerSeverity);
+
+				jsFormatterSeverity._logLintResults(
+					[
+						{
+							column: 1,
+							line: 1,
+							message: 'Foo',
+							ruleId: 'foo',
+							severity: 1
+						},
+						{
+							column: 1,
+							fix: {
+								range: [0, 1],
+								text: ''
+							},
+							line: 2,
+							message: 'Bar',
+							ruleId: 'bar',
+							severity: 2
+						}
+					]
+				);
+
+				var errors = jsLoggerSeverity.getErrors(testFilePath);
+
+				assert.equal(errors[0].severity, 'warning');
+				assert.equal(errors[1].severity, 'error');
+
+				assert.isFalse(errors[0].fixable);
+				assert.isTrue(errors[1].fixable);
+			}
+		);
+
+		it(
+			'should list the lint rules that ran',
+			function() {
+				var jsLoggerRules = new Logger.constructor();
+				var jsFormatterRules = new Formatter.JS(testFilePath, jsLoggerRules);
+
+				jsFormatterRules.format(
+					'var a = 1;',
+					{
+						rules: {
+							'no-unused-vars': 'off'
+						}
+					}
+				);
+
+				var rules = jsLoggerRules.getRules(testFilePath);
+
+				assert.include(rules, 'csf-sort-vars');
+				assert.include(rules, 'csf/common/extra-new-lines');
+				assert.notInclude(rules, 'camelcase');
+				assert.notInclude(rules, 'no-unused-vars');
+			}
+		);
+
 		it(
 			'should parse JS syntax',
 			function() {
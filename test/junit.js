@@ -7,6 +7,8 @@ var xsd = require('xsd-schema-validator');
 var junit = require('../lib/junit');
 var Logger = require('../lib/logger');
 
+var pkg = require('../package.json');
+
 chai.use(require('chai-string'));
 
 var assert = chai.assert;
@@ -71,7 +73,9 @@ describe(
 					function(results) {
 						assert.isTrue(fs.writeFile.called, 'writeFile should have been called');
 
-						assert.equal(results, fs.readFileSync(path.join(__dirname, 'fixture', 'result.xml'), 'utf-8'), 'The result should match what we expect');
+						var expected = fs.readFileSync(path.join(__dirname, 'fixture', 'result.xml'), 'utf-8').replace(/\{version\}/g, pkg.version);
+
+						assert.equal(results, expected, 'The result should match what we expect');
 					}
 				);
 			}
@@ -86,6 +90,18 @@ describe(
 				logger.log(38, 'Missing space between selector and bracket: &.no-title .asset-user-actions{', 'xmlentity.css', 'error');
 				logger.log(39, '<fooo', 'xmlentity.css', 'error');
 				logger.log(141, 'Sort attribute values: javascript:�0�removeGroup(', 'unicode.css', 'error');
+				logger.log(
+					2,
+					'Content could be better',
+					'foo.js',
+					'foo',
+					{
+						severity: 'warning'
+					}
+				);
+				logger.log('N/A', 'This file was ignored. Pass the "force" flag if you wish to have it included.', 'bar.min.js', 'ignored');
+
+				logger.enableRules('passing.js', ['no-unused-vars']);
 
 				sandbox.stub(fs, 'readFile').callsFake(
 					function(path, encoding, callback) {
@@ -110,6 +126,17 @@ describe(
 
 				var reporter = new junit(
 					{
+						files: [
+							{
+								configPath: '/home/user/.csfrc',
+								file: 'foo.js',
+								time: 12
+							},
+							{
+								file: 'passing.js',
+								time: 3
+							}
+						],
 						logger: logger
 					}
 				);
@@ -128,6 +155,120 @@ describe(
 			}
 		);
 
+		it(
+			'should report warnings without failing',
+			function() {
+				var logger = new Logger.constructor();
+
+				logger.log(1, 'Content is not valid', 'foo.js', 'foo');
+				logger.log(
+					2,
+					'Content could be better',
+					'foo.js',
+					'foo',
+					{
+						severity: 'warning'
+					}
+				);
+				logger.log(
+					3,
+					'Content could be better',
+					'bar.js',
+					'bar',
+					{
+						severity: 'warning'
+					}
+				);
+
+				sandbox.stub(fs, 'readFile').callsFake(
+					function(path, encoding, callback) {
+						callback(null, fs.readFileSync(path, encoding));
+					}
+				);
+
+				sandbox.stub(fs, 'writeFile').callsFake(
+					function(path, content, callback) {
+						callback(null, content);
+					}
+				);
+
+				var reporter = new junit(
+					{
+						logger: logger
+					}
+				);
+
+				return reporter.generate().then(
+					function(results) {
+						assert.include(results, '<testsuites failures="1" name="" tests="2">');
+						assert.include(results, '<testsuite failures="1" name="foo.js" tests="1">');
+						assert.include(results, '<testsuite failures="0" name="bar.js" tests="1">');
+						assert.include(results, '<failure message="Line 1: Content is not valid" type="failure"><![CDATA[Line 1: Content is not valid]]></failure>');
+						assert.include(results, '<system-out><![CDATA[Line 2: Warning: Content could be better]]></system-out>');
+						assert.include(results, '<system-out><![CDATA[Line 3: Warning: Content could be better]]></system-out>');
+						assert.equal(results.match(/<failure /g).length, 1);
+					}
+				);
+			}
+		);
+
+		it(
+			'should report every rule and every file that was checked',
+			function() {
+				var logger = new Logger.constructor();
+
+				logger.log(
+					3,
+					'Has <markup>',
+					'foo.js',
+					'foo',
+					{
+						ruleId: 'no-markup'
+					}
+				);
+
+				logger.enableRules('foo.js', ['no-markup', 'no-unused-vars']);
+				logger.enableRules('bar.js', ['no-unused-vars']);
+
+				var reporter = new junit(
+					{
+						files: [
+							{
+								configPath: '/home/user/.csfrc',
+								file: 'foo.js',
+								time: 1200
+							},
+							{
+								file: 'bar.js',
+								time: 35
+							},
+							{
+								contents: '',
+								err: new Error('ENOENT'),
+								file: 'missing.js'
+							}
+						],
+						logger: logger
+					}
+				);
+
+				return reporter.render().then(
+					function(results) {
+						assert.include(results, '<testsuites failures="1" name="" tests="3" time="1.235">');
+						assert.include(results, '<testsuite failures="1" name="foo.js" tests="2" time="1.200">');
+						assert.include(results, '<testsuite failures="0" name="bar.js" tests="1" time="0.035">');
+						assert.include(results, '<property name="csf.version" value="' + pkg.version + '" />');
+						assert.include(results, '<property name="csf.config" value="/home/user/.csfrc" />');
+						assert.include(results, '<testcase classname="foo.js" name="no-markup">');
+						assert.include(results, '<failure message="Line 3: Has &lt;markup&gt;" type="failure"><![CDATA[Line 3: Has <markup>]]></failure>');
+						assert.include(results, '<testcase classname="bar.js" name="no-unused-vars">');
+						assert.notInclude(results, 'missing.js');
+						assert.equal(results.match(/<property name="csf.config"/g).length, 1);
+					}
+				);
+			}
+		);
+
 		it(
 			'should generate a JUnit report to a custom path',
 			function(done) {
@@ -1,3 +1,4 @@
+var _ = require('lodash');
 var chai = require('chai');
 var path = require('path');
 
@@ -21,5 +22,310 @@ describe(
 				assert.equal(logger.testStats.failures, 1);
 			}
 		);
+
+		it(
+			'should clear file errors properly',
+			function() {
+				var logger = new Logger.constructor();
+
+				logger.log(1, 'Has error', 'foo.js', 'error');
+				logger.log(1, 'Has error', 'bar.js', 'error');
+
+				logger.verboseDetails['foo.js'] = 'Details';
+
+				logger.enableRules('foo.js', ['foo', 'bar']);
+				logger.enableRules('foo.js', ['foo']);
+
+				assert.deepEqual(logger.getRules('foo.js'), ['bar', 'foo']);
+
+				logger.clearFileErrors('foo.js');
+
+				assert.lengthOf(logger.getErrors('foo.js'), 0);
+				assert.lengthOf(logger.getErrors('bar.js'), 1);
+				assert.isUndefined(logger.verboseDetails['foo.js']);
+				assert.lengthOf(logger.getRules('foo.js'), 0);
+				assert.equal(logger.testStats.failures, 1);
+
+				logger.log(1, 'Has error', 'foo.js', 'error');
+
+				assert.lengthOf(logger.getErrors('foo.js'), 1, 'The same error should be logged again after clearing');
+			}
+		);
+
+		it(
+			'should update failures when filtering errors',
+			function() {
+				var logger = new Logger.constructor();
+
+				logger.log(1, 'Has error', 'foo.js', 'error');
+				logger.log(2, 'Has another error', 'foo.js', 'error');
+				logger.log('n/a', 'This file was ignored', 'foo.js', 'ignored');
+
+				logger.filterFileErrors(
+					'foo.js',
+					function(errors) {
+						return errors.filter(
+							function(item) {
+								return item.line !== 1;
+							}
+						);
+					}
+				);
+
+				assert.lengthOf(logger.getErrors('foo.js'), 2);
+				assert.equal(logger.testStats.failures, 1);
+			}
+		);
+
+		it(
+			'should count errors and warnings separately',
+			function() {
+				var logger = new Logger.constructor();
+
+				logger.log(1, 'Has error', 'foo.js', 'error');
+				logger.log(
+					2,
+					'Has warning',
+					'foo.js',
+					'foo',
+					{
+						severity: 'warning'
+					}
+				);
+				logger.log('n/a', 'This file was ignored', 'bar.js', 'ignored');
+
+				var errors = logger.getErrors('foo.js');
+
+				assert.equal(errors[0].severity, 'error');
+				assert.equal(errors[1].severity, 'warning');
+				assert.isUndefined(logger.getErrors('bar.js')[0].severity);
+
+				assert.deepEqual(
+					logger.testStats,
+					{
+						errors: 1,
+						failures: 2,
+						warnings: 1
+					}
+				);
+
+				logger.filterFileErrors(
+					'foo.js',
+					function(errors) {
+						return errors.filter(
+							function(item) {
+								return item.severity !== 'warning';
+							}
+						);
+					}
+				);
+
+				assert.deepEqual(
+					logger.testStats,
+					{
+						errors: 1,
+						failures: 1,
+						warnings: 0
+					}
+				);
+
+				logger.clearFileErrors('foo.js');
+
+				assert.deepEqual(
+					logger.testStats,
+					{
+						errors: 0,
+						failures: 0,
+						warnings: 0
+					}
+				);
+			}
+		);
+
+		it(
+			'should render warnings differently from errors',
+			function() {
+				var logger = new Logger.constructor();
+
+				logger.log(1, 'Has error', 'foo.js', 'error');
+				logger.log(
+					2,
+					'Has warning',
+					'foo.js',
+					'foo',
+					{
+						severity: 'warning'
+					}
+				);
+
+				var out = logger.render('foo.js').split('\n');
+
+				assert.include(out[1], 'Line 1: Has error');
+				assert.notInclude(out[1], '(warning)');
+				assert.include(out[2], 'Line 2: Has warning');
+				assert.include(out[2], '(warning)');
+			}
+		);
+
+		it(
+			'should render a code frame under each violation',
+			function() {
+				var logger = new Logger.constructor();
+
+				logger.log(
+					2,
+					'Has error',
+					'foo.js',
+					'error',
+					{
+						column: 6
+					}
+				);
+				logger.log(10, 'Has error past the end', 'foo.js', 'error');
+				logger.log('N/A', 'Has error without a line', 'foo.js', 'error');
+
+				var out = logger.render(
+					'foo.js',
+					{
+						source: 'if (x) {\n\tfoo( x);\n}'
+					}
+				);
+
+				var lines = out.split('\n');
+
+				assert.include(lines, '      1 | if (x) {');
+				assert.include(lines, '    > 2 | \tfoo( x);');
+				assert.include(lines, '        | \t    ^');
+				assert.include(lines, '      3 | }');
+				assert.lengthOf(lines.filter(line => line.indexOf('|') > -1), 4, 'Only violations inside the file should have a code frame');
+
+				assert.notInclude(logger.render('foo.js'), '|', 'The code frame should only be shown when the source is passed');
+				assert.isUndefined(logger.getErrors('foo.js')[0].codeFrame);
+			}
+		);
+
+		it(
+			'should render the violations of every file grouped by rule',
+			function() {
+				var logger = new Logger.constructor();
+
+				logger.log(
+					3,
+					'Has error',
+					'foo.js',
+					'error',
+					{
+						ruleId: 'no-undef'
+					}
+				);
+				logger.log(
+					1,
+					'Has error',
+					'bar.js',
+					'error',
+					{
+						ruleId: 'no-undef'
+					}
+				);
+				logger.log(
+					2,
+					'Has warning',
+					'foo.js',
+					'foo',
+					{
+						ruleId: 'semi',
+						severity: 'warning'
+					}
+				);
+
+				var lines = logger.renderGroups('rule').split('\n');
+
+				assert.equal(lines[0], 'Rule: no-undef');
+				assert.include(lines[1], 'bar.js Line 1: Has error');
+				assert.include(lines[2], 'foo.js Line 3: Has error');
+				assert.equal(lines[4], 'Rule: semi');
+				assert.include(lines[5], 'foo.js Line 2: Has warning');
+				assert.include(lines[5], '(warning)');
+
+				assert.equal(new Logger.constructor().renderGroups('rule'), '');
+			}
+		);
+
+		it(
+			'should count the violations per rule and per formatter',
+			function() {
+				var logger = new Logger.constructor();
+
+				logger.log(
+					1,
+					'Has error',
+					'foo.js',
+					'error',
+					{
+						fixable: true,
+						ruleId: 'semi'
+					}
+				);
+				logger.log(
+					2,
+					'Has error',
+					'foo.js',
+					'error',
+					{
+						ruleId: 'no-undef'
+					}
+				);
+				logger.log(
+					1,
+					'Has error',
+					'foo.css',
+					'error',
+					{
+						fixable: true,
+						ruleId: 'semi'
+					}
+				);
+				logger.log('n/a', 'This file was ignored', 'foo.min.js', 'ignored');
+
+				var types = {
+					'foo.css': 'css',
+					'foo.js': 'js'
+				};
+
+				var stats = logger.getStats(types);
+
+				assert.deepEqual(
+					stats.rules,
+					[
+						{
+							count: 2,
+							fixable: 2,
+							id: 'semi'
+						},
+						{
+							count: 1,
+							fixable: 0,
+							id: 'no-undef'
+						}
+					]
+				);
+
+				assert.deepEqual(_.map(stats.types, 'id'), ['js', 'css']);
+				assert.deepEqual(
+					stats.total,
+					{
+						count: 3,
+						fixable: 2
+					}
+				);
+
+				var lines = logger.renderStats(types).split('\n');
+
+				assert.equal(lines[0], 'Rule      Count  Fixable');
+				assert.equal(lines[1], 'semi          2        2');
+				assert.equal(lines[2], 'no-undef      1        0');
+				assert.equal(_.last(lines), '3 violation(s), 2 fixable');
+			}
+		);
 	}
 );
\ No newline at end of file
@@ -0,0 +1,85 @@
+var chai = require('chai');
+
+var patch = require('../lib/patch');
+
+var assert = chai.assert;
+
+describe(
+	'Patch',
+	function() {
+		'use strict';
+
+		var data = 'a\nb\nc\nd\ne\nf\ng\nh\ni\nj\n';
+		var contents = 'a\nB\nc\nd\ne\nf\ng\nh\ni\nJ\n';
+
+		it(
+			'should create a patch that git can apply',
+			function() {
+				var filePatch = patch.create('foo/bar.js', data, contents);
+
+				var lines = filePatch.split('\n');
+
+				assert.equal(lines[0], '--- a/foo/bar.js');
+				assert.equal(lines[1], '+++ b/foo/bar.js');
+				assert.include(lines, '-b');
+				assert.include(lines, '+B');
+				assert.include(lines, '-j');
+				assert.include(lines, '+J');
+			}
+		);
+
+		it(
+			'should count each run of changed lines as a fix',
+			function() {
+				assert.equal(patch.getFixCount(data, contents), 2);
+				assert.equal(patch.getFixCount(data, data), 0);
+				assert.equal(patch.getFixCount('a\nb\n', 'A\nB\n'), 1);
+			}
+		);
+
+		it(
+			'should only apply accepted changes',
+			function() {
+				var changes = patch.getChanges(data, contents);
+
+				var changed = changes.filter(
+					function(item) {
+						return item.changed;
+					}
+				);
+
+				assert.lengthOf(changed, 2);
+				assert.equal(changed[0].line, 2);
+				assert.equal(changed[1].line, 10);
+
+				assert.equal(patch.applyChanges(changes), data);
+
+				changed[1].accepted = true;
+
+				assert.equal(patch.applyChanges(changes), 'a\nb\nc\nd\ne\nf\ng\nh\ni\nJ\n');
+
+				changed[0].accepted = true;
+
+				assert.equal(patch.applyChanges(changes), contents);
+			}
+		);
+
+		it(
+			'should format a change as a hunk',
+			function() {
+				var changes = patch.getChanges('a\nb\n', 'a\nB\nc\n');
+
+				assert.equal(patch.formatChange(changes[1]), '@@ -2,1 +2,2 @@\n-b\n+B\n+c');
+			}
+		);
+
+		it(
+			'should keep the contents of the patch when colorizing',
+			function() {
+				var filePatch = patch.create('foo.js', data, contents);
+
+				assert.equal(patch.colorize(filePatch), filePatch);
+			}
+		);
+	}
+);
\ No newline at end of file
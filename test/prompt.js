@@ -0,0 +1,59 @@
+var chai = require('chai');
+var stream = require('stream');
+
+var prompt = require('../lib/prompt');
+
+var assert = chai.assert;
+
+describe(
+	'Prompt',
+	function() {
+		'use strict';
+
+		it(
+			'should answer questions in order',
+			function() {
+				var input = new stream.PassThrough();
+				var output = new stream.PassThrough();
+
+				var promptInterface = prompt.create(input, output);
+
+				input.write('y\nn\n');
+
+				return promptInterface.ask('First? ').then(
+					function(answer) {
+						assert.equal(answer, 'y');
+
+						return promptInterface.ask('Second? ');
+					}
+				).then(
+					function(answer) {
+						assert.equal(answer, 'n');
+						assert.equal(output.read().toString(), 'First? Second? ');
+
+						promptInterface.close();
+					}
+				);
+			}
+		);
+
+		it(
+			'should quit when the input ends',
+			function() {
+				var input = new stream.PassThrough();
+
+				var promptInterface = prompt.create(input, new stream.PassThrough());
+
+				var answer = promptInterface.ask('First? ');
+
+				input.end();
+
+				return answer.then(
+					function(answer) {
+						assert.equal(answer, 'q');
+					}
+				);
+			}
+		);
+	}
+);
\ No newline at end of file
@@ -74,5 +74,112 @@ describe(
 				);
 			}
 		);
+
+		it(
+			'should give each rule an id',
+			function() {
+				var rules = require('../lib/rules');
+
+				assert.equal(rules.js.varLineSpacing.id, 'csf/js/var-line-spacing');
+				assert.equal(rules.htmlJS.liferayLanguage.id, 'csf/html-js/liferay-language');
+				assert.equal(rules.css._properties.invalidBorderReset.id, 'csf/css/invalid-border-reset');
+				assert.isUndefined(rules.js.IGNORE.id);
+			}
+		);
+
+		it(
+			'should normalize severities',
+			function() {
+				assert.equal(RE.getSeverity(), 'error');
+				assert.equal(RE.getSeverity(0), 'off');
+				assert.equal(RE.getSeverity('warn'), 'warning');
+				assert.equal(RE.getSeverity(['warning', {}]), 'warning');
+				assert.equal(RE.getSeverity(2), 'error');
+			}
+		);
+
+		it(
+			'should skip rules that are turned off',
+			function() {
+				var ruleInstance = new RE(require('../lib/rules'));
+
+				var rulesConfig = {
+					'csf/js/invalid-conditional': 'off'
+				};
+
+				ruleInstance.getRulesConfig = function() {
+					return rulesConfig;
+				};
+
+				var messages = [];
+
+				ruleInstance.on('message', messages.push.bind(messages));
+
+				var context = {
+					content: 'if (x){',
+					lineNum: 1,
+					rawContent: 'if (x){'
+				};
+
+				assert.equal(ruleInstance.iterateRules('js', context), 'if (x){', 'Rules that are turned off should not fix anything');
+				assert.lengthOf(messages, 0);
+
+				rulesConfig['csf/js/invalid-conditional'] = 'warn';
+
+				assert.equal(ruleInstance.iterateRules('js', context), 'if (x) {');
+				assert.lengthOf(messages, 1);
+				assert.equal(messages[0].ruleId, 'csf/js/invalid-conditional');
+				assert.equal(messages[0].severity, 'warning');
+			}
+		);
+
+		it(
+			'should get the column of a match in the raw line',
+			function() {
+				var context = {
+					content: 'if (x){',
+					rawContent: '\t\tif (x){'
+				};
+
+				var match = ['{'];
+
+				match.index = 6;
+
+				var rule = {
+					regex: /\)\{/
+				};
+
+				var rawRule = {
+					regex: /\)\{/,
+					testProp: 'rawContent'
+				};
+
+				assert.equal(re.getColumn(match, {}, context), 9);
+				assert.equal(re.getColumn(true, rule, context), 8);
+				assert.equal(re.getColumn(true, rawRule, context), 8);
+				assert.isNull(re.getColumn(false, {}, context));
+			}
+		);
+
+		it(
+			'should point engine rule messages at the match',
+			function() {
+				var ruleInstance = new RE(require('../lib/rules'));
+
+				var messages = [];
+
+				ruleInstance.on('message', messages.push.bind(messages));
+
+				var context = {
+					content: 'var x = 1; \tvar y = 2;',
+					lineNum: 1,
+					rawContent: '\tvar x = 1; \tvar y = 2;'
+				};
+
+				ruleInstance.iterateRules('common', context);
+
+				assert.equal(_.find(messages, ['ruleId', 'csf/common/mixed-spaces']).column, 12);
+			}
+		);
 	}
 );
\ No newline at end of file
@@ -0,0 +1,594 @@
+var _ = require('lodash');
+var chai = require('chai');
+var path = require('path');
+var Promise = require('bluebird');
+var sinon = require('sinon');
+
+var CheckstyleReporter = require('../lib/checkstyle_reporter');
+var GitLabReporter = require('../lib/gitlab_reporter');
+var HTMLReporter = require('../lib/html_reporter');
+var JSONReporter = require('../lib/json_reporter');
+var JUnitReporter = require('../lib/junit');
+var Logger = require('../lib/logger');
+var Reporter = require('../lib/reporter');
+var reporters = require('../lib/reporters');
+var SARIFReporter = require('../lib/sarif_reporter');
+
+chai.use(require('chai-string'));
+
+var assert = chai.assert;
+
+describe(
+	'Reporters',
+	function() {
+		'use strict';
+
+		var fixtureDir = path.join(__dirname, 'fixture', 'reporters');
+
+		var logger;
+
+		beforeEach(
+			function() {
+				logger = new Logger.constructor();
+
+				logger.log(
+					[3, 4],
+					'Has error',
+					'foo.js',
+					'foo',
+					{
+						column: 2,
+						fixable: true,
+						ruleId: 'foo'
+					}
+				);
+				logger.log(
+					5,
+					'Has warning',
+					'foo.js',
+					'bar',
+					{
+						ruleId: 'bar',
+						severity: 'warning'
+					}
+				);
+				logger.log('N/A', 'This file was ignored', 'bar.min.js', 'ignored');
+
+				logger.getErrors('baz.js');
+			}
+		);
+
+		it(
+			'should get structured entries for every file',
+			function() {
+				var results = new Reporter(
+					{
+						logger: logger
+					}
+				).getResults();
+
+				assert.deepEqual(
+					results,
+					[
+						{
+							errorCount: 1,
+							file: 'foo.js',
+							messages: [
+								{
+									column: 2,
+									endLine: 4,
+									fixable: true,
+									line: 3,
+									message: 'Has error',
+									ruleId: 'foo',
+									severity: 'error'
+								},
+								{
+									column: null,
+									endLine: 5,
+									fixable: false,
+									line: 5,
+									message: 'Has warning',
+									ruleId: 'bar',
+									severity: 'warning'
+								}
+							],
+							warningCount: 1
+						},
+						{
+							errorCount: 0,
+							file: 'bar.min.js',
+							messages: [],
+							warningCount: 0
+						},
+						{
+							errorCount: 0,
+							file: 'baz.js',
+							messages: [],
+							warningCount: 0
+						}
+					]
+				);
+			}
+		);
+
+		it(
+			'should group the JSON report by author',
+			function() {
+				var blame = {
+					author: 'Jane Doe',
+					commit: 'a1b2c3d4',
+					date: '2017-07-14T02:40:00.000Z',
+					email: 'jane@example.com'
+				};
+
+				logger.log(
+					3,
+					'Has error',
+					'foo.js',
+					'baz',
+					{
+						column: 8
+					}
+				);
+				logger.log(
+					1,
+					'Has error',
+					'foo.js',
+					'qux',
+					{
+						column: 4
+					}
+				);
+
+				var errors = logger.getErrors('foo.js');
+
+				[errors[0], errors[2], errors[3]].forEach(
+					function(item) {
+						item.blame = blame;
+					}
+				);
+
+				var reporter = new JSONReporter(
+					{
+						flags: {
+							groupBy: 'author'
+						},
+						logger: logger
+					}
+				);
+
+				var authors = JSON.parse(reporter.render(reporter.getResults()));
+
+				assert.lengthOf(authors, 2);
+
+				assert.equal(authors[0].author, 'Jane Doe');
+				assert.equal(authors[0].email, 'jane@example.com');
+				assert.equal(authors[0].errorCount, 3);
+				assert.equal(authors[0].files[0].file, 'foo.js');
+				assert.deepEqual(authors[0].files[0].messages[0].blame, blame);
+				assert.deepEqual(
+					_.map(authors[0].files[0].messages, _.partialRight(_.pick, ['column', 'line'])),
+					[
+						{
+							column: 4,
+							line: 1
+						},
+						{
+							column: 2,
+							line: 3
+						},
+						{
+							column: 8,
+							line: 3
+						}
+					],
+					'Messages should be sorted by line, then by column'
+				);
+
+				assert.isNull(authors[1].author, 'Violations without a blame should have no author');
+				assert.equal(authors[1].warningCount, 1);
+			}
+		);
+
+		it(
+			'should write a JSON report to a file or to stdout',
+			function() {
+				var stdout = {
+					write: sinon.spy()
+				};
+
+				var write = sinon.stub().returns(Promise.resolve());
+
+				var fileReporter = new JSONReporter(
+					{
+						logger: logger,
+						outputPath: 'report.json',
+						write: write
+					}
+				);
+
+				var stdoutReporter = new JSONReporter(
+					{
+						logger: logger,
+						stdout: stdout
+					}
+				);
+
+				return Promise.all([fileReporter.generate(), stdoutReporter.generate()]).then(
+					function() {
+						assert.equal(write.args[0][0], 'report.json');
+						assert.deepEqual(JSON.parse(write.args[0][1]), fileReporter.getResults());
+
+						assert.equal(stdout.write.args[0][0], write.args[0][1]);
+					}
+				);
+			}
+		);
+
+		it(
+			'should write a checkstyle report with an element per violation',
+			function() {
+				logger.log(6, 'Has <b>"markup"</b>', 'foo.js', 'baz');
+
+				var reporter = new CheckstyleReporter(
+					{
+						logger: logger
+					}
+				);
+
+				return reporter.render(reporter.getResults()).then(
+					function(results) {
+						assert.startsWith(results, '<?xml version="1.0" encoding="UTF-8" ?>\n<checkstyle version="4.3">');
+						assert.include(results, '<file name="foo.js">');
+						assert.include(results, '<error line="3" column="2" severity="error" message="Has error" source="foo" />');
+						assert.include(results, '<error line="5" severity="warning" message="Has warning" source="bar" />');
+						assert.include(results, '<error line="6" severity="error" message="Has &lt;b&gt;&quot;markup&quot;&lt;/b&gt;" />');
+						assert.include(results, '<file name="baz.js">');
+						assert.equal(results.match(/<error /g).length, 3);
+					}
+				);
+			}
+		);
+
+		it(
+			'should write a GitLab Code Quality report',
+			function() {
+				var reporter = new GitLabReporter(
+					{
+						logger: logger
+					}
+				);
+
+				var issues = JSON.parse(reporter.render(reporter.getResults()));
+
+				assert.equal(issues.length, 2);
+
+				assert.deepEqual(
+					_.omit(issues[0], 'fingerprint'),
+					{
+						check_name: 'foo',
+						description: 'Has error',
+						location: {
+							lines: {
+								begin: 3
+							},
+							path: 'foo.js'
+						},
+						severity: 'major'
+					}
+				);
+
+				assert.equal(issues[1].severity, 'minor');
+				assert.notEqual(issues[0].fingerprint, issues[1].fingerprint);
+			}
+		);
+
+		it(
+			'should keep GitLab fingerprints when lines move',
+			function() {
+				var getFingerprints = function(data, lines) {
+					var logger = new Logger.constructor();
+
+					lines.forEach(
+						function(item, index) {
+							logger.log(item, 'Extra spaces', 'foo.js', 'foo');
+						}
+					);
+
+					var reporter = new GitLabReporter(
+						{
+							files: [
+								{
+									contents: data,
+									data: data,
+									file: 'foo.js'
+								}
+							],
+							logger: logger
+						}
+					);
+
+					return _.map(JSON.parse(reporter.render(reporter.getResults())), 'fingerprint');
+				};
+
+				var fingerprints = getFingerprints('var a  = 1;\nvar b  = 1;\nvar b  = 1;', [1, 2, 3]);
+				var movedFingerprints = getFingerprints('var z;\n\nvar a  = 1;\nvar b  = 1;\nvar b  = 1;', [3, 4, 5]);
+
+				assert.deepEqual(movedFingerprints, fingerprints);
+				assert.equal(_.uniq(fingerprints).length, 3);
+			}
+		);
+
+		it(
+			'should summarize an HTML report by directory and rule',
+			function() {
+				logger.log(
+					1,
+					'Has error',
+					'lib/baz.js',
+					'foo',
+					{
+						ruleId: 'foo'
+					}
+				);
+
+				var reporter = new HTMLReporter(
+					{
+						logger: logger
+					}
+				);
+
+				var context = reporter.getContext(reporter.getResults());
+
+				assert.deepEqual(
+					context.directories,
+					[
+						{
+							directory: '.',
+							errorCount: 1,
+							fileCount: 3,
+							warningCount: 1
+						},
+						{
+							directory: 'lib',
+							errorCount: 1,
+							fileCount: 1,
+							warningCount: 0
+						}
+					]
+				);
+
+				assert.deepEqual(
+					context.rules,
+					[
+						{
+							errorCount: 2,
+							ruleId: 'foo',
+							warningCount: 0
+						},
+						{
+							errorCount: 0,
+							ruleId: 'bar',
+							warningCount: 1
+						}
+					]
+				);
+
+				assert.deepEqual(_.map(context.files, 'file'), ['foo.js', 'lib/baz.js']);
+				assert.deepEqual(
+					context.summary,
+					{
+						errorCount: 2,
+						fileCount: 4,
+						warningCount: 1
+					}
+				);
+			}
+		);
+
+		it(
+			'should write an HTML report with highlighted source excerpts',
+			function() {
+				var reporter = new HTMLReporter(
+					{
+						files: [
+							{
+								contents: '',
+								data: 'var a;\nvar b;\nvar <c>;\nvar d;\nvar e;\nvar f;\nvar g;\nvar h;',
+								file: 'foo.js'
+							}
+						],
+						logger: logger
+					}
+				);
+
+				return reporter.render(reporter.getResults()).then(
+					function(results) {
+						assert.startsWith(results, '<!DOCTYPE html>');
+						assert.include(results, '<style>');
+						assert.include(results, '<script>');
+						assert.include(results, '<table class="sortable">');
+						assert.include(results, 'Line 3, Column 2: Has error');
+						assert.include(results, '<pre><span><b>1</b>var a;</span><span><b>2</b>var b;</span><span class="highlight"><b>3</b>var &lt;c&gt;;</span><span class="highlight"><b>4</b>var d;</span><span><b>5</b>var e;</span><span><b>6</b>var f;</span></pre>');
+						assert.notInclude(results, '<h3>bar.min.js');
+					}
+				);
+			}
+		);
+
+		it(
+			'should write a SARIF report with every rule',
+			function() {
+				var reporter = new SARIFReporter(
+					{
+						logger: logger
+					}
+				);
+
+				var run = JSON.parse(reporter.render(reporter.getResults())).runs[0];
+
+				var ruleIds = run.tool.driver.rules.map(
+					function(item, index) {
+						return item.id;
+					}
+				);
+
+				assert.includeMembers(ruleIds, ['color-no-invalid-hex', 'csf-sort-props', 'csf/css/hex-lower-case', 'csf/html/sort-attributes', 'foo', 'bar']);
+
+				assert.equal(run.results.length, 2);
+
+				var result = run.results[0];
+
+				assert.equal(result.level, 'error');
+				assert.equal(result.ruleId, 'foo');
+				assert.equal(ruleIds[result.ruleIndex], 'foo');
+				assert.deepEqual(
+					result.locations[0].physicalLocation,
+					{
+						artifactLocation: {
+							uri: 'foo.js'
+						},
+						region: {
+							endLine: 4,
+							startColumn: 2,
+							startLine: 3
+						}
+					}
+				);
+				assert.isUndefined(result.fixes);
+
+				assert.equal(run.results[1].level, 'warning');
+			}
+		);
+
+		it(
+			'should add SARIF fixes where the formatted file differs',
+			function() {
+				var reporter = new SARIFReporter(
+					{
+						files: [
+							{
+								contents: 'var a;\nvar b = 1;\nvar c;\nvar d;\nvar e;',
+								data: 'var a;\nvar b  =  1;\nvar c;\nvar d;\nvar e;',
+								file: 'foo.js'
+							}
+						],
+						logger: logger
+					}
+				);
+
+				var results = JSON.parse(reporter.render(reporter.getResults())).runs[0].results;
+
+				assert.isUndefined(results[0].fixes);
+				assert.isUndefined(results[1].fixes);
+
+				logger.log(
+					2,
+					'Extra spaces',
+					'foo.js',
+					'baz',
+					{
+						column: 6,
+						fixable: true
+					}
+				);
+				logger.log(
+					2,
+					'Not fixable',
+					'foo.js',
+					'qux',
+					{
+						column: 9
+					}
+				);
+
+				results = JSON.parse(reporter.render(reporter.getResults())).runs[0].results;
+
+				assert.equal(results[0].message.text, 'Extra spaces');
+				assert.equal(results[1].message.text, 'Not fixable');
+				assert.isUndefined(results[1].fixes, 'Only fixable results should get the fixes on their line');
+				assert.deepEqual(
+					results[0].fixes[0].artifactChanges[0].replacements,
+					[
+						{
+							deletedRegion: {
+								charLength: 13,
+								charOffset: 7
+							},
+							insertedContent: {
+								text: 'var b = 1;\n'
+							}
+						}
+					]
+				);
+			}
+		);
+
+		it(
+			'should get the built-in reporters',
+			function() {
+				assert.equal(reporters.get('checkstyle'), CheckstyleReporter);
+				assert.equal(reporters.get('gitlab'), GitLabReporter);
+				assert.equal(reporters.get('html'), HTMLReporter);
+				assert.equal(reporters.get('json'), JSONReporter);
+				assert.equal(reporters.get('junit'), JUnitReporter);
+				assert.equal(reporters.get('sarif'), SARIFReporter);
+			}
+		);
+
+		it(
+			'should load custom reporters from a path',
+			function() {
+				var CustomReporter = reporters.get('./custom_reporter.js', fixtureDir);
+
+				var stdout = {
+					write: sinon.spy()
+				};
+
+				var reporter = new CustomReporter(
+					{
+						logger: logger,
+						stdout: stdout
+					}
+				);
+
+				assert.instanceOf(reporter, Reporter);
+
+				return reporter.generate().then(
+					function() {
+						assert.equal(stdout.write.args[0][0], 'foo.js: 2\nbar.min.js: 0\nbaz.js: 0');
+					}
+				);
+			}
+		);
+
+		it(
+			'should load custom reporters from a package',
+			function() {
+				var PackageReporter = reporters.get('csf-reporter-fixture', fixtureDir);
+
+				assert.instanceOf(PackageReporter.prototype, Reporter);
+				assert.throws(
+					function() {
+						reporters.get('csf-reporter-fixture', __dirname);
+					},
+					'Could not find the "csf-reporter-fixture" reporter'
+				);
+				assert.equal(reporters.get('../../../lib/json_reporter', fixtureDir), JSONReporter);
+			}
+		);
+
+		it(
+			'should throw an error for missing reporters',
+			function() {
+				assert.throws(
+					function() {
+						reporters.get('csf-reporter-does-not-exist', fixtureDir);
+					},
+					'Could not find the "csf-reporter-does-not-exist" reporter'
+				);
+			}
+		);
+	}
+);
\ No newline at end of file
@@ -0,0 +1,189 @@
+var _ = require('lodash');
+var chai = require('chai');
+
+var suppressions = require('../lib/suppressions');
+
+var assert = chai.assert;
+
+describe(
+	'Suppressions',
+	function() {
+		'use strict';
+
+		it(
+			'should parse directives from JS, CSS, HTML and JSP comments',
+			function() {
+				var directives = suppressions.parse(
+					[
+						'var x = 1; // csf-disable-line foo',
+						'/* csf-disable-next-line foo, bar */',
+						'<!-- csf-disable -->',
+						'<%-- csf-enable bar --%>'
+					].join('\n')
+				);
+
+				assert.lengthOf(directives, 4);
+
+				assert.deepEqual(directives[0].ruleIds, ['foo']);
+				assert.equal(directives[0].target, 1);
+				assert.equal(directives[0].type, 'disable-line');
+
+				assert.deepEqual(directives[1].ruleIds, ['foo', 'bar']);
+				assert.equal(directives[1].target, 3);
+				assert.equal(directives[1].type, 'disable-next-line');
+
+				assert.deepEqual(directives[2].ruleIds, []);
+				assert.isUndefined(directives[2].target);
+				assert.equal(directives[2].type, 'disable');
+
+				assert.deepEqual(directives[3].ruleIds, ['bar']);
+				assert.equal(directives[3].line, 4);
+				assert.equal(directives[3].type, 'enable');
+			}
+		);
+
+		it(
+			'should filter out suppressed errors',
+			function() {
+				var directives = suppressions.parse(
+					[
+						'a // csf-disable-line foo',
+						'// csf-disable-next-line',
+						'b',
+						'/* csf-disable bar */',
+						'c',
+						'/* csf-enable */',
+						'd'
+					].join('\n')
+				);
+
+				var errors = suppressions.filter(
+					[
+						{
+							line: 1,
+							ruleId: 'foo'
+						},
+						{
+							line: 1,
+							ruleId: 'bar'
+						},
+						{
+							line: 3,
+							ruleId: 'baz'
+						},
+						{
+							line: 5,
+							ruleId: 'bar'
+						},
+						{
+							line: 5,
+							ruleId: 'baz'
+						},
+						{
+							line: 7,
+							ruleId: 'bar'
+						},
+						{
+							line: 'N/A',
+							type: 'ignored'
+						}
+					],
+					directives
+				);
+
+				assert.deepEqual(
+					errors,
+					[
+						{
+							line: 1,
+							ruleId: 'bar'
+						},
+						{
+							line: 5,
+							ruleId: 'baz'
+						},
+						{
+							line: 7,
+							ruleId: 'bar'
+						},
+						{
+							line: 'N/A',
+							type: 'ignored'
+						}
+					]
+				);
+			}
+		);
+
+		it(
+			'should get the lines whose fixes are suppressed',
+			function() {
+				var directives = suppressions.parse(
+					[
+						'a // csf-disable-line foo',
+						'// csf-disable-next-line',
+						'b',
+						'/* csf-disable bar */',
+						'c',
+						'd'
+					].join('\n')
+				);
+
+				var lines = suppressions.getSuppressedLines(
+					[
+						{
+							line: 1,
+							ruleId: 'foo'
+						},
+						{
+							line: [5, 6],
+							ruleId: 'bar'
+						}
+					],
+					directives,
+					6
+				);
+
+				assert.deepEqual(_.keys(lines), ['1', '3', '5', '6']);
+			}
+		);
+
+		it(
+			'should find unused directives',
+			function() {
+				var directives = suppressions.parse(
+					[
+						'a // csf-disable-line foo',
+						'b // csf-disable-line',
+						'/* csf-disable */',
+						'/* csf-enable */'
+					].join('\n')
+				);
+
+				suppressions.filter(
+					[
+						{
+							line: 1,
+							ruleId: 'foo'
+						}
+					],
+					directives
+				);
+
+				assert.deepEqual(
+					suppressions.getUnused(directives),
+					[
+						{
+							line: 2,
+							msg: 'Unused csf-disable-line directive (no problems were reported)'
+						},
+						{
+							line: 3,
+							msg: 'Unused csf-disable directive (no problems were reported)'
+						}
+					]
+				);
+			}
+		);
+	}
+);
\ No newline at end of file
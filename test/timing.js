@@ -0,0 +1,128 @@
+var _ = require('lodash');
+var chai = require('chai');
+
+var Formatter = require('../lib/formatter');
+var Logger = require('../lib/logger');
+var timing = require('../lib/timing');
+
+chai.use(require('chai-string'));
+
+var assert = chai.assert;
+
+describe(
+	'Timing',
+	function() {
+		'use strict';
+
+		beforeEach(
+			function() {
+				timing.enabled = true;
+				timing.reset();
+			}
+		);
+
+		afterEach(
+			function() {
+				timing.enabled = false;
+				timing.reset();
+			}
+		);
+
+		it(
+			'should add up the time of each rule',
+			function() {
+				timing.add('semi', 'eslint', 1);
+				timing.add('semi', 'eslint', 2);
+				timing.add('color-named', 'stylelint', 4);
+
+				assert.deepEqual(
+					timing.getTimings(),
+					[
+						{
+							id: 'color-named',
+							time: 4,
+							type: 'stylelint'
+						},
+						{
+							id: 'semi',
+							time: 3,
+							type: 'eslint'
+						}
+					]
+				);
+			}
+		);
+
+		it(
+			'should only time when it is enabled',
+			function() {
+				var fn = timing.wrap(
+					'foo',
+					'engine',
+					function(a, b) {
+						return a + b;
+					}
+				);
+
+				assert.equal(fn(1, 2), 3);
+				assert.equal(timing.time('bar', 'html', _.constant('bar')), 'bar');
+				assert.deepEqual(_.map(timing.getTimings(), 'id').sort(), ['bar', 'foo']);
+
+				timing.reset();
+				timing.enabled = false;
+
+				assert.equal(fn(1, 2), 3);
+				assert.lengthOf(timing.getTimings(), 0);
+			}
+		);
+
+		it(
+			'should render the slowest rules first',
+			function() {
+				timing.add('semi', 'eslint', 1);
+				timing.add('csf/js/var-line-spacing', 'engine', 3);
+
+				var lines = timing.render().split('\n');
+
+				assert.lengthOf(lines, 3);
+				assert.match(lines[0], /^Rule +Type +Time \(ms\) +Relative$/);
+				assert.match(lines[1], /^csf\/js\/var-line-spacing +engine +3\.000 +75\.0%$/);
+				assert.match(lines[2], /^semi +eslint +1\.000 +25\.0%$/);
+			}
+		);
+
+		it(
+			'should time each ESLint rule, stylelint rule and engine rule',
+			function() {
+				var logger = new Logger.constructor();
+
+				var cssFormatter = new Formatter.CSS('foo.css', logger);
+				var jsFormatter = new Formatter.JS('foo.js', logger);
+
+				jsFormatter.format('var a = 1;');
+
+				return cssFormatter.format('a {\n\tcolor: #FFF;\n}').then(
+					function() {
+						var types = _.groupBy(timing.getTimings(), 'type');
+
+						assert.includeMembers(_.map(types.eslint, 'id'), ['no-unused-vars', 'csf-catch-arg-name']);
+						assert.include(_.map(types.stylelint, 'id'), 'color-named');
+						assert.include(_.map(types.engine, 'id'), 'csf/js/var-line-spacing');
+					}
+				);
+			}
+		);
+
+		it(
+			'should time the extraction of script and style blocks',
+			function() {
+				var htmlFormatter = new Formatter.HTML('foo.jsp', new Logger.constructor());
+
+				htmlFormatter.parseJs('<aui:script>\nvar a = 1;\n</aui:script>');
+				htmlFormatter.parseCSS('<style>\na {\n}\n</style>');
+
+				assert.includeMembers(_.map(timing.getTimings(), 'id'), ['extractCSS', 'extractJs']);
+			}
+		);
+	}
+);
\ No newline at end of file
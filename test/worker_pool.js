@@ -0,0 +1,154 @@
+var _ = require('lodash');
+var chai = require('chai');
+var path = require('path');
+var Promise = require('bluebird');
+
+var WorkerPool = require('../lib/worker_pool');
+
+chai.use(require('chai-string'));
+
+var assert = chai.assert;
+
+describe(
+	'WorkerPool',
+	function() {
+		'use strict';
+
+		var pool;
+
+		var workerPath = path.join(__dirname, 'fixture', 'worker.js');
+
+		afterEach(
+			function() {
+				pool.end();
+			}
+		);
+
+		it(
+			'should run tasks and resolve them in order',
+			function() {
+				pool = new WorkerPool(
+					{
+						size: 2,
+						workerPath: workerPath
+					}
+				);
+
+				return Promise.all(
+					[
+						pool.run(
+							{
+								delay: 50,
+								value: 1
+							}
+						),
+						pool.run(
+							{
+								value: 2
+							}
+						),
+						pool.run(
+							{
+								value: 3
+							}
+						)
+					]
+				).then(
+					function(results) {
+						assert.deepEqual(_.map(results, 'value'), [2, 4, 6]);
+						assert.lengthOf(_.uniq(_.map(results, 'pid')), 2, 'The tasks should have been spread across 2 workers');
+					}
+				);
+			}
+		);
+
+		it(
+			'should not create more workers than its size',
+			function() {
+				pool = new WorkerPool(
+					{
+						size: 1,
+						workerPath: workerPath
+					}
+				);
+
+				return Promise.all(
+					[
+						pool.run(
+							{
+								value: 1
+							}
+						),
+						pool.run(
+							{
+								value: 2
+							}
+						)
+					]
+				).then(
+					function(results) {
+						assert.equal(results[0].pid, results[1].pid);
+						assert.lengthOf(pool._workers, 1);
+					}
+				);
+			}
+		);
+
+		it(
+			'should reject tasks that fail',
+			function() {
+				pool = new WorkerPool(
+					{
+						workerPath: workerPath
+					}
+				);
+
+				return pool.run(
+					{
+						error: 'Something went wrong'
+					}
+				).then(
+					function() {
+						assert.fail('The task should have been rejected');
+					},
+					function(err) {
+						assert.equal(err.message, 'Something went wrong');
+					}
+				);
+			}
+		);
+
+		it(
+			'should reject tasks when a worker exits and keep going',
+			function() {
+				pool = new WorkerPool(
+					{
+						workerPath: workerPath
+					}
+				);
+
+				var crashed = pool.run(
+					{
+						exit: 3
+					}
+				).reflect();
+
+				var next = pool.run(
+					{
+						value: 5
+					}
+				);
+
+				return Promise.join(
+					crashed,
+					next,
+					function(inspection, result) {
+						assert.isTrue(inspection.isRejected());
+						assert.startsWith(inspection.reason().message, 'Worker process exited unexpectedly');
+						assert.equal(result.value, 10);
+					}
+				);
+			}
+		);
+	}
+);
\ No newline at end of file